@@ -433,13 +433,19 @@ defmodule Lavash.ClientComponent.Compiler do
       return String(value).replace(/_/g, ' ').replace(/^\\w/, c => c.toUpperCase());
     }
 
+    // Quiet unless enabled via Lavash.debug (namespace "optimistic")
+    const log = {
+      debug: (...args) =>
+        window.Lavash?.debug?.isEnabled("optimistic", "debug") && console.debug('[ClientComponent]', ...args)
+    };
+
     export default {
       mounted() {
-        console.log('[ClientComponent] mounted', this.el.id, this.el.dataset.lavashState);
+        log.debug('mounted', this.el.id, this.el.dataset.lavashState);
         this.state = JSON.parse(this.el.dataset.lavashState || "{}");
         this.calculations = #{calc_names_json};
         this.bindings = JSON.parse(this.el.dataset.lavashBindings || "{}");
-        console.log('[ClientComponent] bindings:', this.bindings);
+        log.debug('bindings:', this.bindings);
         this.pendingCount = 0;
         this.clickHandler = this.handleClick.bind(this);
         this.keydownHandler = this.handleKeydown.bind(this);
@@ -452,7 +458,7 @@ defmodule Lavash.ClientComponent.Compiler do
         // Server template may not have all attributes injected
         this.runCalculations();
         this.updateDOM();
-        console.log('[ClientComponent] mounted complete, state:', this.state);
+        log.debug('mounted complete, state:', this.state);
       },
 
       updated() {
@@ -539,28 +545,28 @@ defmodule Lavash.ClientComponent.Compiler do
       },
 
       handleClick(e) {
-        console.log('[ClientComponent] handleClick', e.target);
+        log.debug('handleClick', e.target);
         const target = e.target.closest("[data-lavash-action]");
         if (!target) {
-          console.log('[ClientComponent] no data-lavash-action found');
+          log.debug('no data-lavash-action found');
           return;
         }
 
         const action = target.dataset.lavashAction;
         const field = target.dataset.lavashStateField;
         const value = target.dataset.lavashValue;
-        console.log('[ClientComponent] action:', action, 'field:', field, 'value:', value);
+        log.debug('action:', action, 'field:', field, 'value:', value);
 
         if (action === "add" && !value) return;
 
         e.stopPropagation();
 
         if (!this.validateAction(action, field, value)) {
-          console.log('[ClientComponent] validation failed');
+          log.debug('validation failed');
           return;
         }
 
-        console.log('[ClientComponent] applying optimistic action');
+        log.debug('applying optimistic action');
         this.pendingCount++;
         this.applyOptimisticAction(action, field, value);
         this.runCalculations();
@@ -573,7 +579,7 @@ defmodule Lavash.ClientComponent.Compiler do
           // The parent's LavashOptimistic hook will handle it and sync to server
           // Use the NEW value from state (after applyOptimisticAction), not the click value
           const newValue = this.state[field];
-          console.log('[ClientComponent] dispatching lavash-set for bound field', field, '->', parentField, '=', newValue);
+          log.debug('dispatching lavash-set for bound field', field, '->', parentField, '=', newValue);
           this.el.dispatchEvent(new CustomEvent('lavash-set', {
             bubbles: true,
             detail: { field: parentField, value: newValue }
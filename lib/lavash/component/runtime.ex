@@ -666,6 +666,9 @@ defmodule Lavash.Component.Runtime do
             socket
           end
 
+        # Let the client reset the form's dirty tracking
+        socket = push_submit_result(socket, submit, true)
+
         # Broadcast resource mutation for cross-process invalidation
         if resource do
           # Broadcast to all relevant combination topics based on changed attributes
@@ -693,6 +696,7 @@ defmodule Lavash.Component.Runtime do
           |> LSocket.put_state(server_errors_field, server_errors)
           |> Graph.recompute_dirty(module)
           |> Assigns.project(module)
+          |> push_submit_result(submit, false)
 
         # Failure - trigger on_error action if specified
         if submit.on_error do
@@ -758,6 +762,11 @@ defmodule Lavash.Component.Runtime do
 
   defp extract_submit_errors(_), do: %{}
 
+  # Tell the client hook how a form submit ended (it resets dirty tracking on success)
+  defp push_submit_result(socket, submit, ok?) do
+    Phoenix.LiveView.push_event(socket, "_lavash_submitted", %{form: to_string(submit.field), ok: ok?})
+  end
+
   # Capture bound field state before action execution for change detection
   defp capture_bound_field_state(socket, binding_map) do
     state = LSocket.state(socket)
@@ -93,6 +93,26 @@ defmodule Lavash.Dsl do
                       type: :boolean,
                       default: false,
                       doc: "Auto-generate a set_<name> action that sets this field from params.value"
+                    ],
+                    history: [
+                      type: {:in, [:push, :replace]},
+                      default: :replace,
+                      doc:
+                        "For URL state: :push adds a browser history entry per change (back/forward restore it), :replace updates the current entry"
+                    ],
+                    url_key: [
+                      type: {:or, [:atom, :string]},
+                      doc: "For URL state: query param name, if not the field name (e.g. `url_key: \"q\"` for `:search`)"
+                    ],
+                    hash: [
+                      type: :boolean,
+                      default: false,
+                      doc: "For URL state: keep the value in the URL fragment (`#panel=filters`). Browsers don't send it, so the server starts from the default and the client applies it after mount"
+                    ],
+                    sync: [
+                      type: {:in, [:tabs]},
+                      doc:
+                        ":tabs shares confirmed values with other browser tabs showing the same LiveView and route params (BroadcastChannel). Implies optimistic: true"
                     ]
                   ]
 
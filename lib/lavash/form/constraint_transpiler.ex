@@ -216,6 +216,35 @@ defmodule Lavash.Form.ConstraintTranspiler do
   def error_message(:max, max), do: "must be at most #{max}"
   def error_message(:match, _), do: "is invalid"
 
+  @doc """
+  Returns the error code and interpolation params for a constraint type.
+
+  Generated client validators emit these instead of `error_message/2` text so
+  the client can translate them (see priv/static/messages.js).
+  """
+  def error_code(:required, _), do: {"required", %{}}
+  def error_code(:min_length, min), do: {"min_length", %{count: min}}
+  def error_code(:max_length, max), do: {"max_length", %{count: max}}
+  def error_code(:min, min), do: {"min", %{min: min}}
+  def error_code(:max, max), do: {"max", %{max: max}}
+  def error_code(:match, _), do: {"match", %{}}
+
+  @doc """
+  Returns the JS object fields describing a failed check in generated validators:
+  `msg` when a custom message (e.g., from an Ash validation) is given, otherwise
+  `code` and `params` for the client message catalog.
+  """
+  def js_error(type, value, custom_message \\ nil)
+
+  def js_error(_type, _value, message) when is_binary(message) do
+    "msg: #{Jason.encode!(message)}"
+  end
+
+  def js_error(type, value, nil) do
+    {code, params} = error_code(type, value)
+    "code: #{Jason.encode!(code)}, params: #{Jason.encode!(params)}"
+  end
+
   @doc """
   Returns all error checks with their messages for a validation.
 
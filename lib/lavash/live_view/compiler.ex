@@ -174,8 +174,9 @@ defmodule Lavash.LiveView.Compiler do
         __lavash__(:states) |> Enum.filter(&(is_nil(&1.from) || &1.from == :ephemeral))
       end
 
+      # sync: :tabs fields are shared through the client state, so they are optimistic too
       def __lavash__(:optimistic_fields) do
-        __lavash__(:states) |> Enum.filter(&(&1.optimistic == true))
+        __lavash__(:states) |> Enum.filter(&(&1.optimistic == true or Map.get(&1, :sync) == :tabs))
       end
 
       def __lavash__(:optimistic_derives) do
@@ -252,12 +253,13 @@ defmodule Lavash.LiveView.Compiler do
   end
 
   @doc """
-  Generate synthetic setter actions for state fields with setter: true or optimistic: true.
-  Optimistic fields automatically get setters to enable client-side optimistic updates.
+  Generate synthetic setter actions for state fields with setter: true, optimistic: true
+  or sync: :tabs. Optimistic fields automatically get setters to enable client-side
+  optimistic updates; synced fields use them to apply values from other tabs.
   """
   def generate_setter_actions(module) do
     module.__lavash__(:states)
-    |> Enum.filter(&(&1.setter || &1.optimistic))
+    |> Enum.filter(&(&1.setter || &1.optimistic || Map.get(&1, :sync) == :tabs))
     |> Enum.map(fn state ->
       %Lavash.Actions.Action{
         name: :"set_#{state.name}",
@@ -100,7 +100,8 @@ defmodule Lavash.LiveView.Components do
 
   attr :format, :string,
     default: nil,
-    doc: "Input formatting: 'credit-card' (XXXX XXXX XXXX XXXX), 'expiry' (MM/YY)"
+    doc:
+      "Input formatting: 'credit-card', 'expiry', 'phone', 'iban', 'postal-code', 'currency', 'percent' or a format registered with Lavash.registerFormat"
 
   attr :rest, :global,
     include: ~w(autocomplete disabled form inputmode list maxlength minlength
@@ -407,6 +407,9 @@ defmodule Lavash.LiveView.Helpers do
   This component displays error messages from auto-generated `*_errors` fields.
   Errors are only shown after the field has been touched (blur) or form submitted.
 
+  The container is a polite live region, and the hook points the field's inputs
+  at it with `aria-describedby` (plus `aria-invalid` while errors show).
+
   ## Examples
 
       # Basic usage - shows errors from registration_name_errors
@@ -414,12 +417,24 @@ defmodule Lavash.LiveView.Helpers do
 
       # With custom class
       <.field_errors form={:registration} field={:age} errors={@registration_age_errors} class="text-sm text-error" />
+
+      # With custom markup for each message
+      <.field_errors form={:registration} field={:email} errors={@registration_email_errors}>
+        <template data-lavash-error-template>
+          <p class="help is-danger"><span data-lavash-slot="message"></span></p>
+        </template>
+      </.field_errors>
   """
   attr :form, :atom, required: true, doc: "The form name (e.g., :registration)"
   attr :field, :atom, required: true, doc: "The field name (e.g., :name)"
   attr :errors, :list, required: true, doc: "The errors list from assigns (e.g., @registration_name_errors)"
-  attr :class, :string, default: "text-error text-sm", doc: "CSS class for error messages"
+  attr :id, :string, default: nil, doc: "DOM id, referenced by the input's aria-describedby (default: form-field-errors)"
+  attr :class, :string,
+    default: nil,
+    doc: "CSS class for error messages (defaults to the client's configured `error` class)"
+
   attr :rest, :global, doc: "Additional HTML attributes"
+  slot :inner_block, doc: "Optional <template data-lavash-error-template> for each message"
 
   def field_errors(assigns) do
     errors_field = "#{assigns.form}_#{assigns.field}_errors"
@@ -435,13 +450,17 @@ defmodule Lavash.LiveView.Helpers do
     # Errors are hidden initially - JS will show them when touched/submitted
     ~H"""
     <div
+      id={@id || "#{@form_name}-#{@field_name}-errors"}
+      aria-live="polite"
       data-lavash-errors={@errors_field}
       data-lavash-form={@form_name}
       data-lavash-field={@field_name}
+      data-lavash-classes={@class && Jason.encode!(%{error: @class})}
       class="hidden"
       {@rest}
     >
       <%!-- Content is managed by JS based on touched/submitted state --%>
+      {render_slot(@inner_block)}
     </div>
     """
   end
@@ -512,10 +531,22 @@ defmodule Lavash.LiveView.Helpers do
 
       # With custom class
       <.error_summary form={:registration} class="alert alert-error p-4" />
+
+      # With custom markup (items go into the "errors" slot)
+      <.error_summary form={:registration}>
+        <template data-lavash-error-template="summary">
+          <h2 data-lavash-slot="title"></h2>
+          <ol data-lavash-slot="errors"></ol>
+        </template>
+        <template data-lavash-error-template="summary-item">
+          <li><strong data-lavash-slot="label"></strong> <span data-lavash-slot="message"></span></li>
+        </template>
+      </.error_summary>
   """
   attr :form, :atom, required: true, doc: "The form name (e.g., :registration)"
   attr :class, :string, default: "alert alert-error text-sm mb-4", doc: "CSS class for the summary container"
   attr :rest, :global, doc: "Additional HTML attributes"
+  slot :inner_block, doc: "Optional summary / summary-item templates"
 
   def error_summary(assigns) do
     assigns = assign(assigns, :form_name, to_string(assigns.form))
@@ -524,10 +555,12 @@ defmodule Lavash.LiveView.Helpers do
     ~H"""
     <div
       class={[@class, "hidden"]}
+      tabindex="-1"
       data-lavash-error-summary={@form_name}
       {@rest}
     >
       <%!-- Content is managed by JS after form submission --%>
+      {render_slot(@inner_block)}
     </div>
     """
   end
@@ -536,9 +569,14 @@ defmodule Lavash.LiveView.Helpers do
   Renders a form field status indicator with optimistic updates.
 
   This component displays a small icon inside an input field indicating
-  the validation state (valid, invalid, or neutral). Use this inside
+  the validation state (idle, validating, valid or invalid). Use this inside
   an input wrapper with `relative` positioning.
 
+  The markup for each state can be replaced with `data-lavash-status-<state>`
+  attributes or `<template data-lavash-error-template="status-<state>">`
+  children; by default only invalid fields show "✗". The current state is
+  also set as `data-lavash-status-state` for styling.
+
   ## Examples
 
       # Basic usage inside a positioned wrapper
@@ -548,6 +586,15 @@ defmodule Lavash.LiveView.Helpers do
       </div>
 
       # The indicator is positioned at the right side of the input
+
+      # Spinner while the server checks the field, checkmark once it passed
+      <.field_status
+        form={:registration}
+        field={:email}
+        valid={@registration_email_valid}
+        data-lavash-status-validating={~s(<span class="loading loading-spinner loading-xs"></span>)}
+        data-lavash-status-valid="✓"
+      />
   """
   attr :form, :atom, required: true, doc: "The form name (e.g., :registration)"
   attr :field, :atom, required: true, doc: "The field name (e.g., :name)"
@@ -555,6 +602,7 @@ defmodule Lavash.LiveView.Helpers do
   attr :valid_field, :string, default: nil, doc: "Custom valid field name for JS"
   attr :class, :string, default: "absolute right-3 top-1/2 -translate-y-1/2 text-lg pointer-events-none", doc: "CSS class for positioning"
   attr :rest, :global, doc: "Additional HTML attributes"
+  slot :inner_block, doc: "Optional status-<state> templates"
 
   def field_status(assigns) do
     valid_field = assigns.valid_field || "#{assigns.form}_#{assigns.field}_valid"
@@ -578,7 +626,8 @@ defmodule Lavash.LiveView.Helpers do
       data-lavash-field={@field_name}
       {@rest}
     >
-      <%!-- Content is managed by JS: ✓ (valid), ✗ (invalid), or empty (neutral) --%>
+      <%!-- Content is managed by JS: markup for idle, validating, valid or invalid --%>
+      {render_slot(@inner_block)}
     </span>
     """
   end
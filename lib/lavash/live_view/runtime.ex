@@ -51,6 +51,31 @@ defmodule Lavash.LiveView.Runtime do
             0
         end
 
+      # Route pattern stored by handle_params; URL fields named in it live in the path
+      url_route =
+        case assigns do
+          %{__changed__: _} = a ->
+            socket = Map.get(a, :socket)
+            (socket && LSocket.get(socket, :route_pattern)) || ""
+
+          _ ->
+            ""
+        end
+
+      # Fields shared with other tabs (sync: :tabs)
+      sync_tabs =
+        module.__lavash__(:states)
+        |> Enum.filter(&(Map.get(&1, :sync) == :tabs))
+        |> Enum.map(& &1.name)
+
+      sync_key =
+        if sync_tabs == [] do
+          ""
+        else
+          socket = Map.get(assigns, :socket)
+          tab_sync_key(module, module_name, (socket && LSocket.get(socket, :path_param_values)) || %{})
+        end
+
       # Optimistic functions are now extracted to colocated JS files at compile time
       # by Lavash.Optimistic.ColocatedTransformer, no need to embed them here
       has_optimistic_js = optimistic_fields != [] or optimistic_derives != []
@@ -60,10 +85,42 @@ defmodule Lavash.LiveView.Runtime do
         module.__lavash__(:url_fields)
         |> Enum.map(& &1.name)
 
+      # URL fields that add browser history entries (history: :push)
+      url_history =
+        module.__lavash__(:url_fields)
+        |> Enum.filter(&(Map.get(&1, :history) == :push))
+        |> Map.new(&{&1.name, "push"})
+
+      # Query param names of aliased URL fields (url_key)
+      url_keys =
+        module.__lavash__(:url_fields)
+        |> Enum.map(&{&1.name, State.url_key(&1)})
+        |> Enum.reject(fn {name, key} -> key == to_string(name) end)
+        |> Map.new()
+
+      # URL field defaults; the client leaves values equal to them out of the URL
+      url_defaults =
+        module.__lavash__(:url_fields)
+        |> Enum.reject(&(is_nil(&1.default) or is_function(&1.default)))
+        |> Map.new(&{&1.name, &1.default})
+
+      # URL fields kept in the fragment (hash: true)
+      url_hash =
+        module.__lavash__(:url_fields)
+        |> Enum.filter(&(Map.get(&1, :hash) == true))
+        |> Enum.map(& &1.name)
+
       # Escape for HTML attribute
       escaped_module = Phoenix.HTML.Safe.to_iodata(module_name)
       escaped_json = Phoenix.HTML.Safe.to_iodata(optimistic_json)
       escaped_url_fields = Phoenix.HTML.Safe.to_iodata(Jason.encode!(url_field_names))
+      escaped_url_history = Phoenix.HTML.Safe.to_iodata(Jason.encode!(url_history))
+      escaped_url_keys = Phoenix.HTML.Safe.to_iodata(Jason.encode!(url_keys))
+      escaped_url_defaults = Phoenix.HTML.Safe.to_iodata(Lavash.JSON.encode!(url_defaults))
+      escaped_url_hash = Phoenix.HTML.Safe.to_iodata(Jason.encode!(url_hash))
+      escaped_url_route = Phoenix.HTML.Safe.to_iodata(url_route)
+      escaped_sync_tabs = Phoenix.HTML.Safe.to_iodata(Jason.encode!(sync_tabs))
+      escaped_sync_key = Phoenix.HTML.Safe.to_iodata(sync_key)
       version_str = to_string(version)
 
       # Build wrapper as a Rendered struct so LiveView can diff it properly
@@ -76,6 +133,13 @@ defmodule Lavash.LiveView.Runtime do
           ~s(" data-lavash-state="),
           ~s(" data-lavash-version="),
           ~s(" data-lavash-url-fields="),
+          ~s(" data-lavash-url-history="),
+          ~s(" data-lavash-url-keys="),
+          ~s(" data-lavash-url-defaults="),
+          ~s(" data-lavash-url-hash="),
+          ~s(" data-lavash-url-route="),
+          ~s(" data-lavash-sync-tabs="),
+          ~s(" data-lavash-sync-key="),
           ~s(">),
           ~s(</div>)
         ],
@@ -85,6 +149,13 @@ defmodule Lavash.LiveView.Runtime do
             escaped_json,
             version_str,
             escaped_url_fields,
+            escaped_url_history,
+            escaped_url_keys,
+            escaped_url_defaults,
+            escaped_url_hash,
+            escaped_url_route,
+            escaped_sync_tabs,
+            escaped_sync_key,
             inner_content
           ]
         end,
@@ -92,12 +163,28 @@ defmodule Lavash.LiveView.Runtime do
         # on every update. Including them causes LiveView to treat this as a completely new
         # template, wiping out the component registry and breaking CID-based event targeting.
         # Only include structural information that defines the template shape.
-        fingerprint: :erlang.phash2({module_name, url_field_names, has_optimistic_js}),
+        fingerprint: :erlang.phash2({module_name, url_field_names, url_history, url_keys, url_defaults, url_hash, sync_tabs, has_optimistic_js}),
         root: true
       }
     end
   end
 
+  @doc """
+  BroadcastChannel key for sync: :tabs fields: the module name plus the route
+  params that aren't URL state, so tabs on /products/1 and /products/2 don't
+  share state.
+  """
+  def tab_sync_key(module, module_name, path_params) do
+    url_keys = module.__lavash__(:url_fields) |> Enum.map(&State.url_key/1)
+
+    params =
+      path_params
+      |> Enum.reject(fn {name, _value} -> to_string(name) in url_keys end)
+      |> Enum.sort()
+
+    if params == [], do: module_name, else: module_name <> "?" <> URI.encode_query(params)
+  end
+
   def mount(module, _params, _session, socket) do
     # Get connect params if available (contains client-synced socket state)
     connect_params =
@@ -282,7 +369,7 @@ defmodule Lavash.LiveView.Runtime do
       field_name != nil ->
         handle_per_field_validation(module, socket, form, form_name, params)
 
-      # Full form change (e.g., from Phoenix form recovery)
+      # Full form change (e.g., from Phoenix form recovery or a Lavash client reset)
       Map.has_key?(params, param_key) ->
         handle_form_change(module, socket, form_name, params[param_key])
 
@@ -291,7 +378,7 @@ defmodule Lavash.LiveView.Runtime do
     end
   end
 
-  # Handle Phoenix form change events (form recovery, standard phx-change)
+  # Handle Phoenix form change events (form recovery, standard phx-change, client reset)
   defp handle_form_change(module, socket, form_name, form_params) when is_map(form_params) do
     params_field = :"#{form_name}_params"
     server_errors_field = :"#{form_name}_server_errors"
@@ -312,6 +399,8 @@ defmodule Lavash.LiveView.Runtime do
   # Server validates the field and stores errors in #{form}_server_errors state.
   # The _errors derive merges these with client-computed errors.
   # Result flows to client via normal re-render → data-lavash-server-errors attribute.
+  # The reply echoes the client's per-field "seq" so it can drop replies that
+  # arrive after a newer keystroke.
   defp handle_per_field_validation(module, socket, form, form_name, params) do
     field_name = params["field"]
     value = params["value"]
@@ -374,7 +463,7 @@ defmodule Lavash.LiveView.Runtime do
       |> Graph.recompute_dirty(module)
       |> Assigns.project(module)
 
-    {:noreply, socket}
+    {:reply, %{field: field_name, seq: params["seq"], errors: errors}, socket}
   end
 
   defp handle_action_event(module, event, params, socket) do
@@ -388,10 +477,10 @@ defmodule Lavash.LiveView.Runtime do
     # When a child component sets a bound field, it propagates via lavash-set event
     # which the JS hook converts to a set_{field} server event
     case parse_set_field_event(module, event) do
-      {:set, field_name} ->
-        # Update the state field with the provided value
-        value = params["value"]
-        socket = LSocket.put_state(socket, field_name, value)
+      {:set, field} ->
+        # Update the state field with the provided value, cast like an action's set
+        value = ActionRuntime.coerce_value(params["value"], field)
+        socket = LSocket.put_state(socket, field.name, value)
 
         socket =
           socket
@@ -422,67 +511,88 @@ defmodule Lavash.LiveView.Runtime do
               {:noreply, socket}
             end
 
-      action ->
-        # Bump optimistic version - client will use this to detect stale patches
-        socket = LSocket.bump_optimistic_version(socket)
+          action ->
+            handle_matched_action(module, action, params, socket, old_state)
+        end
+    end
+  end
 
-        case execute_action(socket, module, action, params) do
-          {:ok, socket} ->
-            socket =
-              socket
-              |> apply_flashes(action.flashes || [])
-              |> apply_navigates(action.navigates || [])
-              |> maybe_push_patch(module)
-              |> maybe_sync_socket_state(module)
-              |> Graph.recompute_dirty(module)
-              |> Assigns.project(module)
-
-            update_combination_subscriptions(socket, module, old_state)
-            {:noreply, socket}
-
-          {:error, socket, on_error_action} ->
-            # Action failed with on_error - trigger the error action
-            actions = module.__lavash__(:actions)
-            error_action = Enum.find(actions, &(&1.name == on_error_action))
-
-            socket =
-              if error_action do
-                case execute_action(socket, module, error_action, params) do
-                  {:ok, sock} -> sock
-                  {:error, sock, _} -> sock
-                end
-              else
-                socket
-              end
+  defp handle_matched_action(module, action, params, socket, old_state) do
+    # Bump optimistic version - client will use this to detect stale patches
+    socket = LSocket.bump_optimistic_version(socket)
 
-            socket =
-              socket
-              |> maybe_push_patch(module)
-              |> maybe_sync_socket_state(module)
-              |> Graph.recompute_dirty(module)
-              |> Assigns.project(module)
+    case execute_action(socket, module, action, params) do
+      {:ok, socket} ->
+        socket =
+          socket
+          |> apply_flashes(action.flashes || [])
+          |> apply_navigates(action.navigates || [])
+          |> maybe_push_patch(module)
+          |> maybe_sync_socket_state(module)
+          |> Graph.recompute_dirty(module)
+          |> Assigns.project(module)
 
-            update_combination_subscriptions(socket, module, old_state)
-            {:noreply, socket}
-        end
-    end
+        update_combination_subscriptions(socket, module, old_state)
+        {:noreply, socket}
+
+      {:rejected, socket} ->
+        # Guards rejected the action - reply with an error so the client
+        # rolls back its optimistic delta (dispatches lavash:rollback).
+        # Form bindings may still have changed state, so finish like any action.
+        socket =
+          socket
+          |> maybe_sync_socket_state(module)
+          |> Graph.recompute_dirty(module)
+          |> Assigns.project(module)
+
+        update_combination_subscriptions(socket, module, old_state)
+        {:reply, %{error: "rejected"}, socket}
+
+      {:error, socket, on_error_action} ->
+        # Action failed with on_error - trigger the error action
+        actions = module.__lavash__(:actions)
+        error_action = Enum.find(actions, &(&1.name == on_error_action))
+
+        socket =
+          if error_action do
+            case execute_action(socket, module, error_action, params) do
+              {:ok, sock} -> sock
+              {:rejected, sock} -> sock
+              {:error, sock, _} -> sock
+            end
+          else
+            socket
+          end
+
+        socket =
+          socket
+          |> maybe_push_patch(module)
+          |> maybe_sync_socket_state(module)
+          |> Graph.recompute_dirty(module)
+          |> Assigns.project(module)
+
+        update_combination_subscriptions(socket, module, old_state)
+        # Tell the client the action failed so it rolls back its optimistic delta
+        {:reply, %{error: "failed"}, socket}
     end
   end
 
-  # Check if event is a set_{field} event for a valid ephemeral state field
-  # Returns {:set, field_atom} if valid, :not_set_field otherwise
+  # Check if event is a set_{field} event for a settable state field
+  # Returns {:set, field} (the state field struct) if valid, :not_set_field otherwise
   defp parse_set_field_event(module, event) do
     case event do
       "set_" <> field_str ->
-        # Get all ephemeral state fields that can be set via binding propagation
-        ephemeral_fields = module.__lavash__(:ephemeral_fields)
-        field_names = Enum.map(ephemeral_fields, & &1.name)
+        # Get all ephemeral state fields that can be set via binding propagation.
+        # URL and socket fields are only settable through their set_<name>
+        # actions (setter: true, optimistic: true or sync: :tabs), which also
+        # take precedence for ephemeral fields that have one.
+        field_name = String.to_existing_atom(field_str)
+        action_names = Enum.map(module.__lavash__(:actions), &Atom.to_string(&1.name))
 
         # Only accept if this is a known state field (prevents atom creation attacks)
-        if String.to_existing_atom(field_str) in field_names do
-          {:set, String.to_existing_atom(field_str)}
-        else
-          :not_set_field
+        case Enum.find(module.__lavash__(:ephemeral_fields), &(&1.name == field_name)) do
+          nil -> :not_set_field
+          field -> if event in action_names, do: :not_set_field, else: {:set, field}
         end
 
       _ ->
@@ -560,7 +670,11 @@ defmodule Lavash.LiveView.Runtime do
 
   def handle_info(module, {:lavash_component_event, event, params}, socket) do
     # Handle events sent from child Lavash components via notify_parent
-    handle_event(module, event, params, socket)
+    # Replies only make sense for client pushes, so drop them here
+    case handle_event(module, event, params, socket) do
+      {:reply, _reply, socket} -> {:noreply, socket}
+      result -> result
+    end
   end
 
   def handle_info(module, {:lavash_component_delta, field, value}, socket) do
@@ -765,6 +879,8 @@ defmodule Lavash.LiveView.Runtime do
 
   # Private
 
+  # Returns {:ok, socket}, {:rejected, socket} when the action's guards
+  # don't pass, or {:error, socket, on_error_action} from a failed submit
   defp execute_action(socket, module, action, event_params) do
     # Build params map from event
     params = ActionRuntime.build_params(action.params, event_params)
@@ -794,7 +910,7 @@ defmodule Lavash.LiveView.Runtime do
           {:ok, socket}
       end
     else
-      {:ok, socket}
+      {:rejected, socket}
     end
   end
 
@@ -870,6 +986,7 @@ defmodule Lavash.LiveView.Runtime do
             if success_action do
               case execute_action(socket, module, success_action, %{}) do
                 {:ok, sock} -> sock
+                {:rejected, sock} -> sock
                 {:error, sock, _err} -> sock
               end
             else
@@ -879,6 +996,9 @@ defmodule Lavash.LiveView.Runtime do
             socket
           end
 
+        # Let the client reset the form's dirty tracking
+        socket = push_submit_result(socket, submit, true)
+
         # Broadcast resource mutation for cross-process invalidation
         if resource do
           # Broadcast to all relevant combination topics
@@ -906,6 +1026,7 @@ defmodule Lavash.LiveView.Runtime do
           |> LSocket.put_state(server_errors_field, server_errors)
           |> Graph.recompute_dirty(module)
           |> Assigns.project(module)
+          |> push_submit_result(submit, false)
 
         # Failure - trigger on_error action if specified
         if submit.on_error do
@@ -986,4 +1107,9 @@ defmodule Lavash.LiveView.Runtime do
   end
 
   defp extract_submit_errors(_), do: %{}
+
+  # Tell the client hook how a form submit ended (it resets dirty tracking on success)
+  defp push_submit_result(socket, submit, ok?) do
+    Phoenix.LiveView.push_event(socket, "_lavash_submitted", %{form: to_string(submit.field), ok: ok?})
+  end
 end
@@ -165,18 +165,35 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
     # They are stored as {:lavash_defrx, name, arity} => {params, body_source}
     defrx_map = get_defrx_map(dsl_state)
 
+    # Type descriptors of URL fields for the client-side URL codecs
+    url_types = build_url_types(all_states)
+
     # If nothing to generate, return nil
-    if multi_selects == [] and toggles == [] and calculations == [] and forms == [] and animated_fields == [] and optimistic_actions == [] do
+    if multi_selects == [] and toggles == [] and calculations == [] and forms == [] and animated_fields == [] and optimistic_actions == [] and url_types == %{} do
       nil
     else
       # Use JsGenerator's internal logic to generate JS
       # We need to call it with the module so it can access __lavash__ functions
       # But since we're in a transformer, the module isn't compiled yet.
       # So we need to generate the JS ourselves from the DSL state.
-      generate_js_code(multi_selects, toggles, calculations, forms, extend_errors, animated_fields, defrx_map, optimistic_actions, module)
+      generate_js_code(multi_selects, toggles, calculations, forms, extend_errors, animated_fields, defrx_map, optimistic_actions, url_types, module)
     end
   end
 
+  # Build %{"field" => descriptor} for URL state, including multi_select and toggle fields
+  defp build_url_types(all_states) do
+    all_states
+    |> Enum.flat_map(fn
+      %Lavash.State.Field{from: :url, name: name, type: type} -> [{name, type}]
+      %Lavash.State.MultiSelect{from: :url, name: name} -> [{name, {:array, :string}}]
+      %Lavash.State.Toggle{from: :url, name: name} -> [{name, :boolean}]
+      _ -> []
+    end)
+    |> Enum.map(fn {name, type} -> {to_string(name), Lavash.Type.js_descriptor(type)} end)
+    |> Enum.reject(fn {_name, descriptor} -> is_nil(descriptor) end)
+    |> Map.new()
+  end
+
   # Extract defrx definitions from module attributes via the env in persisted state
   defp get_defrx_map(dsl_state) do
     # The env is persisted by Spark and contains access to module attributes
@@ -195,7 +212,7 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
     end
   end
 
-  defp generate_js_code(multi_selects, toggles, calculations, forms, extend_errors, animated_fields, defrx_map, optimistic_actions, _module) do
+  defp generate_js_code(multi_selects, toggles, calculations, forms, extend_errors, animated_fields, defrx_map, optimistic_actions, url_types, _module) do
     # Generate JS for each type
     multi_select_action_fns = Enum.map(multi_selects, &generate_multi_select_action_js/1)
     multi_select_derive_fns = Enum.map(multi_selects, &generate_multi_select_derive_js/1)
@@ -220,8 +237,8 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
         form_validation_fns ++
         form_error_fns
 
-    # Allow generating just animated metadata (for components with animated state)
-    if fns == [] and animated_fields == [] do
+    # Allow generating just metadata (components with animated state, LiveViews with URL state)
+    if fns == [] and animated_fields == [] and url_types == %{} do
       nil
     else
       # Build derive names
@@ -247,6 +264,7 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
       fields_str = Jason.encode!([])
       graph_str = Jason.encode!(graph_entries)
       animated_str = Jason.encode!(animated_metadata)
+      url_str = Jason.encode!(url_types)
 
       """
       export default {
@@ -254,7 +272,8 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
       __derives__: #{derives_str},
       __fields__: #{fields_str},
       __graph__: #{graph_str},
-      __animated__: #{animated_str}
+      __animated__: #{animated_str},
+      __url__: #{url_str}
       };
       """
     end
@@ -748,11 +767,15 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
         # Required check
         error_checks =
           if required do
-            msg = Map.get(ash_messages, :required) ||
-                  Lavash.Form.ConstraintTranspiler.error_message(:required, nil)
+            error =
+              Lavash.Form.ConstraintTranspiler.js_error(
+                :required,
+                nil,
+                Map.get(ash_messages, :required)
+              )
 
             check =
-              "{check: #{value_expr} != null && String(#{value_expr}).trim().length > 0, msg: #{Jason.encode!(msg)}}"
+              "{check: #{value_expr} != null && String(#{value_expr}).trim().length > 0, #{error}}"
 
             [check | error_checks]
           else
@@ -796,12 +819,22 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
         const v = #{value_expr};
         const isEmpty = v == null || String(v).trim().length === 0;
         const checks = #{checks_array};
-        const clientErrors = checks
-          .filter(c => !c.check && (#{required} || !isEmpty))
-          .map(c => c.msg);
+        const failed = checks.filter(c => !c.check && (#{required} || !isEmpty));
         const serverErrors = state.#{server_errors_field}?.[#{Jason.encode!(field_str)}] || [];
-        const merged = [...clientErrors];
-        for (const e of serverErrors) { if (!merged.includes(e)) merged.push(e); }
+        // One error per code (custom messages by text); a server error for the same
+        // constraint reads like the code's English text, whatever the client locale
+        const merged = [];
+        const seen = new Set();
+        for (const c of failed) {
+          const key = c.code ? `${c.code}:${JSON.stringify(c.params)}` : c.msg;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          if (c.code) seen.add(window.Lavash.translate(c.code, c.params, "en"));
+          const text = c.msg ?? window.Lavash.translate(c.code, c.params);
+          seen.add(text);
+          merged.push(text);
+        }
+        for (const e of serverErrors) { if (!seen.has(e)) { seen.add(e); merged.push(e); } }
         return merged;
       }
     """
@@ -848,12 +881,15 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
           checks
 
         min ->
-          msg = Map.get(ash_messages, :min_length) ||
-                Map.get(ash_messages, :length_between) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:min_length, min)
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :min_length,
+              min,
+              Map.get(ash_messages, :min_length) || Map.get(ash_messages, :length_between)
+            )
 
           check =
-            "{check: String(#{value_expr} || '').trim().length >= #{min}, msg: #{Jason.encode!(msg)}}"
+            "{check: String(#{value_expr} || '').trim().length >= #{min}, #{error}}"
 
           [check | checks]
       end
@@ -864,12 +900,15 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
           checks
 
         max ->
-          msg = Map.get(ash_messages, :max_length) ||
-                Map.get(ash_messages, :length_between) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:max_length, max)
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :max_length,
+              max,
+              Map.get(ash_messages, :max_length) || Map.get(ash_messages, :length_between)
+            )
 
           check =
-            "{check: String(#{value_expr} || '').trim().length <= #{max}, msg: #{Jason.encode!(msg)}}"
+            "{check: String(#{value_expr} || '').trim().length <= #{max}, #{error}}"
 
           [check | checks]
       end
@@ -886,10 +925,13 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
           checks
 
         min ->
-          msg = Map.get(ash_messages, :min) ||
-                Map.get(ash_messages, :numericality) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:min, min)
-          check = "{check: #{parsed} >= #{min}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :min,
+              min,
+              Map.get(ash_messages, :min) || Map.get(ash_messages, :numericality)
+            )
+          check = "{check: #{parsed} >= #{min}, #{error}}"
           [check | checks]
       end
 
@@ -899,10 +941,13 @@ defmodule Lavash.Optimistic.ColocatedTransformer do
           checks
 
         max ->
-          msg = Map.get(ash_messages, :max) ||
-                Map.get(ash_messages, :numericality) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:max, max)
-          check = "{check: #{parsed} <= #{max}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :max,
+              max,
+              Map.get(ash_messages, :max) || Map.get(ash_messages, :numericality)
+            )
+          check = "{check: #{parsed} <= #{max}, #{error}}"
           [check | checks]
       end
 
@@ -46,6 +46,7 @@ defmodule Lavash.Optimistic.JsGenerator do
     calculations = get_calculations(module)
     form_validations = get_form_validations(module)
     form_errors = get_form_errors(module)
+    url_types = get_url_types(module)
 
     action_fns = Enum.map(actions, &generate_action_js/1) |> Enum.filter(& &1)
 
@@ -87,13 +88,14 @@ defmodule Lavash.Optimistic.JsGenerator do
     # Format: { name: { deps: [...], fn: function }, ... }
     graph_entries = build_graph_entries(derives, multi_selects, toggles, calculations, form_validations, form_errors)
 
-    if fns == [] and derive_names == [] do
+    if fns == [] and derive_names == [] and url_types == %{} do
       nil
     else
       fns_str = Enum.join(fns, ",\n")
       derives_str = Jason.encode!(derive_names)
       fields_str = Jason.encode!(field_names)
       graph_str = Jason.encode!(graph_entries)
+      url_str = Jason.encode!(url_types)
 
       # Generate ES module format for colocated JS extraction
       """
@@ -101,7 +103,8 @@ defmodule Lavash.Optimistic.JsGenerator do
       #{fns_str}#{if fns_str != "", do: ",", else: ""}
       __derives__: #{derives_str},
       __fields__: #{fields_str},
-      __graph__: #{graph_str}
+      __graph__: #{graph_str},
+      __url__: #{url_str}
       };
       """
     end
@@ -506,6 +509,25 @@ defmodule Lavash.Optimistic.JsGenerator do
     end
   end
 
+  # Type descriptors of URL fields for the client-side URL codecs, including
+  # multi_select and toggle URL state (same as ColocatedTransformer.build_url_types/1)
+  defp get_url_types(module) do
+    try do
+      (module.__lavash__(:url_fields) ++ get_multi_selects(module) ++ get_toggles(module))
+      |> Enum.flat_map(fn
+        %Lavash.State.MultiSelect{from: :url, name: name} -> [{name, {:array, :string}}]
+        %Lavash.State.Toggle{from: :url, name: name} -> [{name, :boolean}]
+        %{from: :url, name: name, type: type} -> [{name, type}]
+        _ -> []
+      end)
+      |> Enum.map(fn {name, type} -> {to_string(name), Lavash.Type.js_descriptor(type)} end)
+      |> Enum.reject(fn {_name, descriptor} -> is_nil(descriptor) end)
+      |> Map.new()
+    rescue
+      _ -> %{}
+    end
+  end
+
   # Get calculations from __lavash_calculations__/0 function
   # Returns list of tuples in either 4-tuple or 7-tuple format
   defp get_calculations(module) do
@@ -892,8 +914,13 @@ defmodule Lavash.Optimistic.JsGenerator do
         # Required check
         error_checks =
           if required do
-            msg = Map.get(ash_messages, :required) || Lavash.Form.ConstraintTranspiler.error_message(:required, nil)
-            check = "{check: #{value_expr} != null && String(#{value_expr}).trim().length > 0, msg: #{Jason.encode!(msg)}}"
+            error =
+              Lavash.Form.ConstraintTranspiler.js_error(
+                :required,
+                nil,
+                Map.get(ash_messages, :required)
+              )
+            check = "{check: #{value_expr} != null && String(#{value_expr}).trim().length > 0, #{error}}"
             [check | error_checks]
           else
             error_checks
@@ -946,7 +973,7 @@ defmodule Lavash.Optimistic.JsGenerator do
         const checks = #{checks_array};
         return checks
           .filter(c => !c.check && (#{required} || !isEmpty))
-          .map(c => c.msg);
+          .map(c => c.msg ?? window.Lavash.translate(c.code, c.params));
       }
     """
   end
@@ -959,10 +986,13 @@ defmodule Lavash.Optimistic.JsGenerator do
 
         min ->
           # Look for min_length or length_between message from Ash validations
-          msg = Map.get(ash_messages, :min_length) ||
-                Map.get(ash_messages, :length_between) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:min_length, min)
-          check = "{check: String(#{value_expr} || '').trim().length >= #{min}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :min_length,
+              min,
+              Map.get(ash_messages, :min_length) || Map.get(ash_messages, :length_between)
+            )
+          check = "{check: String(#{value_expr} || '').trim().length >= #{min}, #{error}}"
           [check | checks]
       end
 
@@ -973,10 +1003,13 @@ defmodule Lavash.Optimistic.JsGenerator do
 
         max ->
           # Look for max_length or length_between message from Ash validations
-          msg = Map.get(ash_messages, :max_length) ||
-                Map.get(ash_messages, :length_between) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:max_length, max)
-          check = "{check: String(#{value_expr} || '').trim().length <= #{max}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :max_length,
+              max,
+              Map.get(ash_messages, :max_length) || Map.get(ash_messages, :length_between)
+            )
+          check = "{check: String(#{value_expr} || '').trim().length <= #{max}, #{error}}"
           [check | checks]
       end
 
@@ -987,9 +1020,13 @@ defmodule Lavash.Optimistic.JsGenerator do
 
         regex ->
           pattern = Regex.source(regex)
-          msg = Map.get(ash_messages, :match) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:match, regex)
-          check = "{check: new RegExp(#{Jason.encode!(pattern)}).test(#{value_expr} || ''), msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :match,
+              regex,
+              Map.get(ash_messages, :match)
+            )
+          check = "{check: new RegExp(#{Jason.encode!(pattern)}).test(#{value_expr} || ''), #{error}}"
           [check | checks]
       end
 
@@ -1005,10 +1042,13 @@ defmodule Lavash.Optimistic.JsGenerator do
           checks
 
         min ->
-          msg = Map.get(ash_messages, :min) ||
-                Map.get(ash_messages, :numericality) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:min, min)
-          check = "{check: #{parsed} >= #{min}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :min,
+              min,
+              Map.get(ash_messages, :min) || Map.get(ash_messages, :numericality)
+            )
+          check = "{check: #{parsed} >= #{min}, #{error}}"
           [check | checks]
       end
 
@@ -1018,10 +1058,13 @@ defmodule Lavash.Optimistic.JsGenerator do
           checks
 
         max ->
-          msg = Map.get(ash_messages, :max) ||
-                Map.get(ash_messages, :numericality) ||
-                Lavash.Form.ConstraintTranspiler.error_message(:max, max)
-          check = "{check: #{parsed} <= #{max}, msg: #{Jason.encode!(msg)}}"
+          error =
+            Lavash.Form.ConstraintTranspiler.js_error(
+              :max,
+              max,
+              Map.get(ash_messages, :max) || Map.get(ash_messages, :numericality)
+            )
+          check = "{check: #{parsed} <= #{max}, #{error}}"
           [check | checks]
       end
 
@@ -11,8 +11,12 @@ defmodule Lavash.State do
 
     state =
       Enum.reduce(url_fields, LSocket.state(socket), fn field, state ->
-        value = parse_url_field(field, params)
-        Map.put(state, field.name, value)
+        # Hash fields are never in params; keep the value the client last set
+        if Map.get(field, :hash) == true and Map.has_key?(state, field.name) do
+          state
+        else
+          Map.put(state, field.name, parse_url_field(field, params))
+        end
       end)
 
     LSocket.put(socket, :state, state)
@@ -94,11 +98,19 @@ defmodule Lavash.State do
     LSocket.put(socket, :state, state)
   end
 
+  @doc """
+  Query param name of a URL field: its `url_key`, or the field name.
+  """
+  def url_key(field) do
+    to_string(Map.get(field, :url_key) || field.name)
+  end
+
   defp parse_url_field(field, params) do
-    raw = Map.get(params, to_string(field.name))
+    raw = Map.get(params, url_key(field))
 
     cond do
-      is_nil(raw) and field.required ->
+      # Fragments aren't sent to the server; the client applies hash fields after mount
+      is_nil(raw) and field.required and Map.get(field, :hash) != true ->
         raise "Required URL field #{field.name} not present"
 
       is_nil(raw) ->
@@ -12,6 +12,35 @@ defmodule Lavash.State.Field do
       state :product_id, :integer, from: :url
       state :form_params, :map, from: :ephemeral, default: %{}
 
+  URL fields update the browser URL with `history.replaceState` by default.
+  With `history: :push` each change adds a history entry instead, so the back
+  button steps through them:
+
+      state :tab, :string, from: :url, default: "details", history: :push
+
+  The query param is named after the field unless `url_key` says otherwise.
+  Values equal to the default are left out of the URL:
+
+      state :search, :string, from: :url, default: "", url_key: "q"
+      state :page, :integer, from: :url, default: 1
+
+  gives `?q=shoes` rather than `?search=shoes&page=1`.
+
+  A URL field named by a segment of the route (`live "/products/:category"`)
+  lives in the path instead of the query string. With `hash: true` it lives in
+  the fragment (`#panel=filters`); the server never sees the fragment, so it
+  renders the default and the client applies the fragment's value after mount.
+
+  ## Cross-Tab Sync
+
+  With `sync: :tabs`, values the server confirmed in one browser tab are
+  applied in the other tabs showing the same LiveView with the same route
+  params, without a server round trip. Each receiving tab also sends the value
+  to its own LiveView process. Edits still pending in a tab win over values
+  from other tabs.
+
+      state :view_mode, :string, default: "grid", sync: :tabs
+
   ## Animated State
 
   State fields can be animated, which adds phase tracking for enter/exit transitions:
@@ -34,6 +63,10 @@ defmodule Lavash.State.Field do
     :encode,
     :decode,
     :setter,
+    :history,
+    :url_key,
+    :hash,
+    :sync,
     :optimistic,
     :animated,
     __spark_metadata__: nil
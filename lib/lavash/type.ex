@@ -15,8 +15,14 @@ defmodule Lavash.Type do
   - `:uuid` - UUID stored as full string, URL-encoded as base32 (26 chars)
   - `{:uuid, "prefix"}` - UUID with TypeID prefix, e.g. `cat_01h455vb4pex5vsknk084sn02q`
   - `:atom` - `"foo"` ↔ `:foo` (uses `String.to_existing_atom/1`)
+  - `:date` - `"2024-01-15"` ↔ `~D[2024-01-15]`
+  - `:datetime` - `"2024-01-15T10:30:00Z"` ↔ `~U[2024-01-15 10:30:00Z]`
   - `{:array, type}` - `"a,b,c"` ↔ `["a", "b", "c"]` (with inner type conversion)
 
+  The client mirrors these encodings when it updates the URL optimistically
+  (see `js_descriptor/1`); custom types need a matching client codec,
+  registered with `Lavash.registerUrlType/2`.
+
   ## Custom Types
 
   Implement the `Lavash.Type` behaviour for custom types:
@@ -124,6 +130,20 @@ defmodule Lavash.Type do
     ArgumentError -> {:error, "atom #{inspect(value)} does not exist"}
   end
 
+  def parse(:date, value) when is_binary(value) do
+    case Date.from_iso8601(value) do
+      {:ok, date} -> {:ok, date}
+      {:error, _} -> {:error, "cannot parse #{inspect(value)} as date"}
+    end
+  end
+
+  def parse(:datetime, value) when is_binary(value) do
+    case DateTime.from_iso8601(value) do
+      {:ok, datetime, _offset} -> {:ok, datetime}
+      {:error, _} -> {:error, "cannot parse #{inspect(value)} as datetime"}
+    end
+  end
+
   def parse({:array, inner_type}, value) when is_binary(value) do
     if value == "" do
       {:ok, []}
@@ -300,6 +320,8 @@ defmodule Lavash.Type do
   end
 
   def dump(:atom, value) when is_atom(value), do: Atom.to_string(value)
+  def dump(:date, %Date{} = value), do: Date.to_iso8601(value)
+  def dump(:datetime, %DateTime{} = value), do: DateTime.to_iso8601(value)
 
   def dump({:array, inner_type}, values) when is_list(values) do
     Enum.map_join(values, ",", &dump(inner_type, &1))
@@ -317,6 +339,43 @@ defmodule Lavash.Type do
   # Fallback - just use to_string
   def dump(_type, value), do: to_string(value)
 
+  @doc """
+  Describes a type for the client-side URL codecs (`url_types.js`).
+
+  The generated optimistic module ships one descriptor per URL field, so
+  optimistic URL updates encode values the same way `dump/2` does. Returns
+  `nil` for types the client can't mirror (`:any`); those fields are written
+  as plain strings.
+
+  ## Examples
+
+      iex> Lavash.Type.js_descriptor(:integer)
+      "integer"
+
+      iex> Lavash.Type.js_descriptor({:array, {:uuid, "cat"}})
+      %{array: %{uuid: "cat"}}
+  """
+  def js_descriptor(type)
+
+  def js_descriptor(type) when type in [:string, :integer, :float, :boolean, :uuid, :atom, :date, :datetime],
+    do: Atom.to_string(type)
+
+  def js_descriptor({:uuid, prefix}) when is_binary(prefix), do: %{uuid: prefix}
+
+  def js_descriptor({:array, inner_type}) do
+    case js_descriptor(inner_type) do
+      nil -> nil
+      inner -> %{array: inner}
+    end
+  end
+
+  # Custom type module - the client looks up a codec registered under its name
+  def js_descriptor(type) when is_atom(type) do
+    if String.starts_with?(Atom.to_string(type), "Elixir."), do: %{custom: inspect(type)}
+  end
+
+  def js_descriptor(_type), do: nil
+
   # ============================================================================
   # Helpers
   # ============================================================================
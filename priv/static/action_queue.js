@@ -0,0 +1,98 @@
+/**
+ * ActionQueue - Ordered outbound queue for events pushed while the socket is down.
+ *
+ * LavashOptimistic applies actions optimistically and pushes them to the server.
+ * When the LiveSocket is disconnected, the push would be silently dropped and the
+ * client state would drift from the server. Instead, the hook enqueues the event
+ * here and replays the queue, in order, once the view reconnects.
+ *
+ * Entries are mirrored into sessionStorage so a queue also survives hook remounts
+ * and page reloads within the same tab. Restored entries are sent again, but
+ * their onReply callbacks are gone (they never run) and their SyncedVar
+ * versions belong to the previous page, so `versions` is reset to {}.
+ *
+ * Entry shape:
+ *   {
+ *     seq: 3,                        // monotonically increasing, preserves order
+ *     event: "increment",            // server event name
+ *     payload: { value: "1" },       // event params
+ *     clientVersion: 12,             // hook clientVersion when the action ran
+ *     targetId: null,                // element id to push to (null = hook root)
+ *     versions: { count: 4 },        // SyncedVar versions to acknowledge on reply
+ *     onReply: fn                    // optional reply callback (in-memory only)
+ *   }
+ */
+
+export class ActionQueue {
+  /**
+   * @param {string} storageKey - sessionStorage key (null disables persistence)
+   */
+  constructor(storageKey = null) {
+    this.storageKey = storageKey;
+    this.entries = this._load();
+    this.nextSeq = this.entries.reduce((max, e) => Math.max(max, e.seq), 0) + 1;
+  }
+
+  /**
+   * Number of events waiting to be sent or acknowledged.
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Append an event to the queue.
+   * @returns {Object} The stored entry
+   */
+  enqueue({ event, payload = {}, clientVersion = 0, targetId = null, versions = {}, onReply = null }) {
+    // onReply is kept in memory only (functions are dropped by JSON.stringify)
+    const entry = { seq: this.nextSeq++, event, payload, clientVersion, targetId, versions, onReply };
+    this.entries.push(entry);
+    this._persist();
+    return entry;
+  }
+
+  /**
+   * Remove an entry once the server has acknowledged it.
+   */
+  remove(seq) {
+    this.entries = this.entries.filter((e) => e.seq !== seq);
+    this._persist();
+  }
+
+  /**
+   * Entries in send order.
+   */
+  toArray() {
+    return [...this.entries];
+  }
+
+  _load() {
+    if (!this.storageKey) return [];
+    try {
+      const raw = window.sessionStorage.getItem(this.storageKey);
+      const entries = raw ? JSON.parse(raw) : [];
+      if (!Array.isArray(entries)) return [];
+      // Versions of the previous page's SyncedVars would acknowledge (or roll
+      // back) whatever this page's vars happen to be at the same version
+      return entries
+        .map((entry) => ({ ...entry, versions: {}, onReply: null }))
+        .sort((a, b) => a.seq - b.seq);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _persist() {
+    if (!this.storageKey) return;
+    try {
+      if (this.entries.length === 0) {
+        window.sessionStorage.removeItem(this.storageKey);
+      } else {
+        window.sessionStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+      }
+    } catch (e) {
+      // Storage unavailable - the queue still works in memory
+    }
+  }
+}
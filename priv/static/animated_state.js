@@ -32,6 +32,9 @@
  */
 
 import { SyncedVar } from "./synced_var.js";
+import { createLogger } from "./debug.js";
+
+const log = createLogger("animation", "AnimatedState");
 
 // --- Base State Class ---
 class AnimatedStatePhase {
@@ -279,7 +282,7 @@ export class AnimatedState {
    */
   transitionTo(newPhase) {
     const oldPhaseName = this.currentPhase ? this.currentPhase.name : "initial";
-    console.debug(`[AnimatedState ${this.config.field}] ${oldPhaseName} -> ${newPhase.name}`);
+    log.debug(`${this.config.field}: ${oldPhaseName} -> ${newPhase.name}`);
 
     if (this.currentPhase) {
       this.currentPhase.onExit();
@@ -324,7 +327,7 @@ export class AnimatedState {
     try {
       this.delegate?.[methodName]?.(this);
     } catch (e) {
-      console.error(`[AnimatedState ${this.config.field}] Delegate ${methodName} error:`, e);
+      log.error(`${this.config.field}: Delegate ${methodName} error:`, e);
     }
   }
 
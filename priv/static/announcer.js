@@ -0,0 +1,45 @@
+/**
+ * Screen reader announcements through visually hidden live regions.
+ *
+ *   announce("3 fields need attention", { politeness: "assertive" });
+ *
+ * The regions live on document.body, outside any LiveView container, so
+ * morphdom never removes them.
+ */
+
+const REGION_ID = "lavash-announcer";
+
+const VISUALLY_HIDDEN = [
+  "position:absolute", "width:1px", "height:1px", "margin:-1px", "padding:0",
+  "overflow:hidden", "clip:rect(0,0,0,0)", "white-space:nowrap", "border:0"
+].join(";");
+
+function region(politeness) {
+  const id = `${REGION_ID}-${politeness}`;
+  let el = document.getElementById(id);
+  if (!el) {
+    el = document.createElement("div");
+    el.id = id;
+    el.setAttribute("aria-live", politeness);
+    el.setAttribute("aria-atomic", "true");
+    el.setAttribute("style", VISUALLY_HIDDEN);
+    document.body.appendChild(el);
+  }
+  return el;
+}
+
+/**
+ * Announce a message.
+ *
+ * @param {string} message
+ * @param {Object} options
+ * @param {"polite"|"assertive"} options.politeness - default "polite"
+ */
+export function announce(message, { politeness = "polite" } = {}) {
+  const el = region(politeness);
+  el.textContent = "";
+  // Set the text in a later task so repeating the same message is still a change
+  setTimeout(() => {
+    el.textContent = message;
+  }, 50);
+}
@@ -0,0 +1,232 @@
+/**
+ * Lavash.debug - Namespaced, leveled logging for the Lavash client.
+ *
+ * Every Lavash module logs through a namespaced logger instead of calling
+ * console directly. By default only warnings and errors are printed; turn on
+ * more detail per namespace at runtime:
+ *
+ *   Lavash.debug.enable("optimistic,forms")        // debug level for two namespaces
+ *   Lavash.debug.enable("*:trace")                 // everything, including per-render noise
+ *   Lavash.debug.enable("animation:info", { persist: true }) // survives reloads
+ *   Lavash.debug.disable()                         // back to warnings and errors only
+ *
+ * or before the page loads:
+ *
+ *   localStorage.setItem("lavash:debug", "optimistic:debug,url")
+ *
+ * Namespaces:
+ * - optimistic: LavashOptimistic hook (actions, derives, DOM updates, queue, rollback)
+ * - store: SyncedVar versions, socket state sync/persistence and cross-tab sync
+ * - animation: AnimatedState / SyncedVar phases and OverlayAnimator
+ * - url: URL sync (query params, path segments, hash)
+ * - forms: form params, validation errors, touched/submitted tracking
+ *
+ * Levels (least to most verbose): off, error, warn, info, debug, trace.
+ *
+ * The inspector panel shows live state for every mounted LavashOptimistic
+ * hook (state, pending paths, client/server version, derive graph):
+ *
+ *   Lavash.debug.inspect()                         // open (inspect(false) closes)
+ *   localStorage.setItem("lavash:inspector", "1")  // open on every page load
+ */
+
+import { Inspector } from "./inspector.js";
+
+export const LEVELS = { off: 0, error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+export const NAMESPACES = ["optimistic", "store", "animation", "url", "forms"];
+
+const DEFAULT_LEVEL = "warn";
+const DEBUG_STORAGE_KEY = "lavash:debug";
+const INSPECTOR_STORAGE_KEY = "lavash:inspector";
+
+// console has no trace-level method that doesn't print a stack
+const CONSOLE_METHODS = { error: "error", warn: "warn", info: "info", debug: "debug", trace: "debug" };
+
+// --- Configuration ---
+
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    if (value == null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (e) {
+    // Storage unavailable - setting only applies to this page
+  }
+}
+
+/**
+ * Parse "optimistic:debug,url,*:warn" into { optimistic: "debug", url: "debug", "*": "warn" }.
+ * A namespace without a level is enabled at "debug".
+ */
+function parseSpec(spec) {
+  const rules = {};
+  if (!spec) return rules;
+
+  for (const part of String(spec).split(",")) {
+    const [namespace, level] = part.trim().split(":");
+    if (!namespace) continue;
+    rules[namespace] = level in LEVELS ? level : "debug";
+  }
+  return rules;
+}
+
+let rules = typeof window !== "undefined" ? parseSpec(readStorage(DEBUG_STORAGE_KEY)) : {};
+
+function levelFor(namespace) {
+  return rules[namespace] ?? rules["*"] ?? DEFAULT_LEVEL;
+}
+
+function isEnabled(namespace, level) {
+  return LEVELS[level] <= LEVELS[levelFor(namespace)];
+}
+
+// --- Loggers ---
+
+/**
+ * Create a logger for a namespace.
+ *
+ * @param {string} namespace - One of NAMESPACES (controls filtering)
+ * @param {string} label - Prefix printed with each message (default: "Lavash:<namespace>")
+ * @returns {Object} Logger with error/warn/info/debug/trace methods and enabled(level)
+ *
+ * Arguments are passed through to console unchanged. Guard expensive
+ * message construction with `if (log.enabled("debug"))`.
+ */
+export function createLogger(namespace, label = `Lavash:${namespace}`) {
+  const prefix = `[${label}]`;
+  const logger = {
+    namespace,
+    enabled: (level) => isEnabled(namespace, level)
+  };
+
+  for (const [level, method] of Object.entries(CONSOLE_METHODS)) {
+    logger[level] = (...args) => {
+      if (isEnabled(namespace, level)) {
+        console[method](prefix, ...args);
+      }
+    };
+  }
+  return logger;
+}
+
+// --- Inspector / hook registry ---
+
+const hooks = new Set();
+let inspector = null;
+
+function getInspector() {
+  if (!inspector) {
+    inspector = new Inspector(() => [...hooks]);
+  }
+  return inspector;
+}
+
+/**
+ * Register a mounted LavashOptimistic hook with the inspector.
+ */
+export function trackHook(hook) {
+  hooks.add(hook);
+  if (!inspector && readStorage(INSPECTOR_STORAGE_KEY) === "1") {
+    getInspector().open();
+  }
+  inspector?.refresh();
+}
+
+/**
+ * Unregister a destroyed hook.
+ */
+export function untrackHook(hook) {
+  hooks.delete(hook);
+  inspector?.refresh();
+}
+
+/**
+ * Tell the inspector a hook's state changed (no-op while the panel is closed).
+ */
+export function hookUpdated(hook) {
+  if (inspector?.isOpen && hooks.has(hook)) {
+    inspector.refresh();
+  }
+}
+
+// --- Public API ---
+
+export const debug = {
+  LEVELS,
+  NAMESPACES,
+
+  /**
+   * Enable logging from a spec string ("optimistic,forms:trace", "*").
+   * Replaces the current configuration.
+   *
+   * @param {string} spec - Comma-separated namespace[:level] entries, "*" matches all
+   * @param {Object} options
+   * @param {boolean} options.persist - Store the spec in localStorage
+   */
+  enable(spec = "*", { persist = false } = {}) {
+    rules = parseSpec(spec);
+    if (persist) writeStorage(DEBUG_STORAGE_KEY, spec);
+  },
+
+  /**
+   * Reset to the default (warnings and errors only) and clear any persisted spec.
+   */
+  disable() {
+    rules = {};
+    writeStorage(DEBUG_STORAGE_KEY, null);
+  },
+
+  /**
+   * Set the level for one namespace ("*" for the default of all namespaces).
+   */
+  setLevel(namespace, level) {
+    if (!(level in LEVELS)) {
+      throw new Error(`[Lavash] Unknown log level "${level}"`);
+    }
+    rules = { ...rules, [namespace]: level };
+  },
+
+  levelFor,
+  isEnabled,
+  logger: createLogger,
+
+  /**
+   * Open (or close) the floating inspector panel.
+   *
+   * @param {boolean} open - false closes the panel
+   * @param {Object} options
+   * @param {boolean} options.persist - Remember the choice in localStorage
+   */
+  inspect(open = true, { persist = false } = {}) {
+    if (open) {
+      getInspector().open();
+    } else {
+      inspector?.close();
+    }
+    if (persist) writeStorage(INSPECTOR_STORAGE_KEY, open ? "1" : null);
+  },
+
+  /**
+   * Mounted LavashOptimistic hooks (for console poking).
+   */
+  get hooks() {
+    return [...hooks];
+  }
+};
+
+if (typeof window !== "undefined") {
+  window.Lavash = window.Lavash || {};
+  window.Lavash.debug = debug;
+}
+
+export default debug;
@@ -0,0 +1,148 @@
+/**
+ * HistoryStack - Bounded undo/redo history of optimistic state deltas.
+ *
+ * Each entry records the fields an optimistic action changed, with their
+ * values before and after:
+ *
+ *   { seq: 7, action: "add_tag", changes: { tags: { before: ["a"], after: ["a", "b"] } }, versions: { tags: 3 } }
+ *
+ * `versions` are the SyncedVar versions the action produced, so the entry can
+ * be discarded when the server rolls the action back.
+ *
+ * Entries are grouped (per form, per component section, ...) so that undo in
+ * one editor doesn't revert changes made in another. Recording a new entry
+ * clears that group's redo stack.
+ *
+ * Usage (handled automatically by LavashOptimistic hook):
+ *
+ *   const history = new HistoryStack({ limit: 50 });
+ *   history.record("profile-form", { action: "set_name", changes });
+ *   const entry = history.undo("profile-form"); // apply entry.changes[f].before
+ *   history.redo("profile-form");               // apply entry.changes[f].after
+ */
+
+export class HistoryStack {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Max undo entries kept per group (default: 50)
+   */
+  constructor({ limit = 50 } = {}) {
+    this.limit = limit;
+    this.groups = {}; // group -> { undo: [], redo: [] }
+    this.nextSeq = 1;
+    this.clock = 1; // bumps on every push, orders stack tops across groups
+  }
+
+  /**
+   * Record a delta. No-op when nothing actually changed.
+   */
+  record(group, { action, changes, versions = {} }) {
+    if (Object.keys(changes).length === 0) return;
+
+    const stacks = this._stacks(group);
+    this._push(stacks.undo, { seq: this.nextSeq++, action, changes, versions });
+    if (stacks.undo.length > this.limit) {
+      stacks.undo.shift();
+    }
+    stacks.redo = [];
+  }
+
+  /**
+   * Pop the latest entry of a group (or the latest overall when group is null)
+   * and move it to the redo stack.
+   * @returns {Object|null} The entry to revert
+   */
+  undo(group = null) {
+    const key = group ?? this._latestGroup("undo");
+    const stacks = key != null ? this.groups[key] : null;
+    const entry = stacks?.undo.pop();
+    if (!entry) return null;
+
+    this._push(stacks.redo, entry);
+    return entry;
+  }
+
+  /**
+   * Pop the latest undone entry of a group (or overall) back onto the undo stack.
+   * @returns {Object|null} The entry to re-apply
+   */
+  redo(group = null) {
+    const key = group ?? this._latestGroup("redo");
+    const stacks = key != null ? this.groups[key] : null;
+    const entry = stacks?.redo.pop();
+    if (!entry) return null;
+
+    this._push(stacks.undo, entry);
+    return entry;
+  }
+
+  canUndo(group = null) {
+    return group != null
+      ? (this.groups[group]?.undo.length ?? 0) > 0
+      : Object.values(this.groups).some((s) => s.undo.length > 0);
+  }
+
+  canRedo(group = null) {
+    return group != null
+      ? (this.groups[group]?.redo.length ?? 0) > 0
+      : Object.values(this.groups).some((s) => s.redo.length > 0);
+  }
+
+  /**
+   * Drop the entries (undo or redo, any group) of a rolled-back action:
+   * those that produced one of the given SyncedVar versions.
+   * @param {Object} versions - path -> version, as passed to rollbackAction
+   * @returns {boolean} Whether anything was dropped
+   */
+  discard(versions) {
+    const matches = (entry) =>
+      Object.entries(entry.versions).some(([path, version]) => versions[path] === version);
+
+    let dropped = false;
+    for (const stacks of Object.values(this.groups)) {
+      for (const name of ["undo", "redo"]) {
+        const kept = stacks[name].filter((entry) => !matches(entry));
+        dropped = dropped || kept.length !== stacks[name].length;
+        stacks[name] = kept;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Drop all history for a group (or everything when group is null).
+   */
+  clear(group = null) {
+    if (group == null) {
+      this.groups = {};
+    } else {
+      delete this.groups[group];
+    }
+  }
+
+  _push(stack, entry) {
+    entry.stamp = this.clock++;
+    stack.push(entry);
+  }
+
+  _stacks(group) {
+    if (!this.groups[group]) {
+      this.groups[group] = { undo: [], redo: [] };
+    }
+    return this.groups[group];
+  }
+
+  // Group whose top entry on the given stack was pushed most recently
+  _latestGroup(stackName) {
+    let latest = null;
+    let latestStamp = -1;
+    for (const [group, stacks] of Object.entries(this.groups)) {
+      const top = stacks[stackName][stacks[stackName].length - 1];
+      if (top && top.stamp > latestStamp) {
+        latest = group;
+        latestStamp = top.stamp;
+      }
+    }
+    return latest;
+  }
+}
@@ -7,6 +7,8 @@
  * - SyncedVarStore: Collection of SyncedVars with dependency tracking
  * - OverlayAnimator: Unified animation delegate for modals and flyovers
  * - LavashOptimistic: Main Phoenix LiveView hook
+ * - StateStorage: Persistence of socket state across page reloads
+ * - debug: Namespaced, leveled logger and state inspector (also on window.Lavash.debug)
  *
  * Usage in your app.js:
  *
@@ -26,6 +28,13 @@
 export { SyncedVar, SyncedVarStore } from "./synced_var.js";
 export { OverlayAnimator } from "./overlay_animator.js";
 export { LavashOptimistic } from "./lavash_optimistic.js";
+export { StateStorage, storageAdapters, indexedDBAdapter } from "./state_storage.js";
+export { debug, createLogger } from "./debug.js";
+export { registerFormat, formatInput, formatValue } from "./input_formats.js";
+export { parseTyped, fromWire, toWire } from "./input_types.js";
+export { configure } from "./ui_config.js";
+export { registerMessages, setLocale, translate } from "./messages.js";
+export { registerUrlType, encodeUrlValue, decodeUrlValue } from "./url_types.js";
 
 // Backward compatibility aliases
 export { OverlayAnimator as ModalAnimator } from "./overlay_animator.js";
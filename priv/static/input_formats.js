@@ -0,0 +1,320 @@
+/**
+ * Input formatters for data-lavash-format.
+ *
+ * A format keeps two representations of a field apart:
+ * - value: canonical string stored in state and sent to the server ("1234.5")
+ * - display: what the user sees in the input ("1.234,5" in de-DE)
+ *
+ *   registerFormat("sku", {
+ *     parse: (text, options) => text.replace(/[^0-9a-z]/gi, "").toUpperCase(),  // typed text -> value
+ *     format: (value, options) => value.match(/.{1,3}/g)?.join("-") || "",       // value -> display
+ *     accept: (ch, options) => /[0-9a-z]/i.test(ch)                              // optional
+ *   });
+ *
+ * `parse` receives whatever is in the input (possibly with separators, possibly
+ * half-typed) and must return the canonical value; `format` renders a value for
+ * display and is also used for server-rendered values. `accept` marks the
+ * characters that carry meaning (default: letters and digits). The caret is
+ * restored after the same number of accepted characters it followed before
+ * formatting, so separators inserted mid-value don't push it around.
+ *
+ * Options come from the input: `locale` (data-lavash-locale / lang attribute /
+ * browser), `country` (locale region unless given) plus anything in
+ * data-lavash-format-options (JSON).
+ *
+ * Built-ins: credit-card, expiry, phone, iban, postal-code, currency, percent.
+ */
+
+const formats = {};
+
+const ALPHANUMERIC = /[\p{L}\p{N}]/u;
+
+/**
+ * Register (or replace) a format.
+ *
+ * @param {string} name - Value of data-lavash-format
+ * @param {Object} spec
+ * @param {Function} spec.format - (value, options) => display string
+ * @param {Function} spec.parse - (text, options) => value string (default: format)
+ * @param {Function} spec.accept - (char, options) => boolean, significant characters for caret mapping
+ */
+export function registerFormat(name, { format, parse = null, accept = null }) {
+  if (typeof format !== "function") {
+    throw new Error(`[Lavash] Format "${name}" must define a format function`);
+  }
+  formats[name] = { format, parse: parse || format, accept: accept || ((ch) => ALPHANUMERIC.test(ch)) };
+}
+
+export function getFormat(name) {
+  return formats[name] || null;
+}
+
+/**
+ * Format text typed into an input.
+ *
+ * @param {string} name - Format name
+ * @param {string} text - Current input text
+ * @param {number|null} caret - Caret position in text (null when not focused)
+ * @param {Object} options - Format options (see resolveFormatOptions)
+ * @returns {{value: string, display: string, caret: number|null}|null} null for unknown formats
+ */
+export function formatInput(name, text, caret = null, options = {}) {
+  const spec = formats[name];
+  if (!spec) return null;
+
+  const value = spec.parse(text, options);
+  const display = spec.format(value, options);
+
+  let newCaret = null;
+  if (caret != null) {
+    const accept = (ch) => spec.accept(ch, options);
+    const significant = [...text.slice(0, caret)].filter(accept).length;
+    newCaret = caretAfter(display, significant, accept);
+  }
+
+  return { value, display, caret: newCaret };
+}
+
+/**
+ * Display string for a canonical value (e.g., a server-rendered value).
+ */
+export function formatValue(name, value, options = {}) {
+  const spec = formats[name];
+  if (!spec || value == null) return value;
+  return spec.format(String(value), options);
+}
+
+/**
+ * Position just after the n-th significant character of display.
+ */
+function caretAfter(display, n, accept) {
+  if (n === 0) return 0;
+  let seen = 0;
+  for (let i = 0; i < display.length; i++) {
+    if (accept(display[i])) {
+      seen++;
+      if (seen === n) return i + 1;
+    }
+  }
+  return display.length;
+}
+
+// --- Options ---
+
+/**
+ * Locale for an element: closest data-lavash-locale, then lang attribute, then browser.
+ */
+export function resolveLocale(el) {
+  return el?.closest?.("[data-lavash-locale]")?.dataset.lavashLocale ||
+    el?.closest?.("[lang]")?.lang ||
+    (typeof navigator !== "undefined" && navigator.language) ||
+    "en-US";
+}
+
+function regionOf(locale) {
+  try {
+    return new Intl.Locale(locale).maximize().region || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Format options for an input element.
+ */
+export function resolveFormatOptions(el) {
+  let extra = {};
+  try {
+    extra = JSON.parse(el.dataset.lavashFormatOptions || "{}");
+  } catch (e) {
+    // Ignore malformed options
+  }
+  const locale = extra.locale || resolveLocale(el);
+  return { locale, country: regionOf(locale), ...extra };
+}
+
+// --- Number helpers ---
+
+const separatorCache = {};
+
+/**
+ * Group and decimal separators for a locale ({group: ",", decimal: "."} for en-US).
+ */
+export function numberSeparators(locale) {
+  if (!separatorCache[locale]) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.8);
+    separatorCache[locale] = {
+      group: parts.find(p => p.type === "group")?.value ?? ",",
+      decimal: parts.find(p => p.type === "decimal")?.value ?? "."
+    };
+  }
+  return separatorCache[locale];
+}
+
+/**
+ * Parse locale-formatted (possibly half-typed) number text into canonical form:
+ * optional "-", digits, optional "." and fraction. Keeps a trailing "." so the
+ * user can keep typing decimals.
+ */
+function parseLocaleNumber(text, locale, maxFraction) {
+  const { decimal } = numberSeparators(locale);
+  const negative = text.trim().startsWith("-");
+
+  let integer = "";
+  let fraction = null;
+  for (const ch of text) {
+    if (ch === decimal && fraction === null) {
+      fraction = "";
+    } else if (/\d/.test(ch)) {
+      if (fraction === null) {
+        integer += ch;
+      } else if (fraction.length < maxFraction) {
+        fraction += ch;
+      }
+    }
+  }
+
+  integer = integer.replace(/^0+(?=\d)/, "");
+  if (integer === "" && fraction === null) return negative ? "-" : "";
+  if (integer === "") integer = "0";
+
+  const sign = negative ? "-" : "";
+  return fraction === null || maxFraction === 0 ? `${sign}${integer}` : `${sign}${integer}.${fraction}`;
+}
+
+/**
+ * Render a canonical number string with locale grouping, preserving the
+ * fraction digits exactly as typed.
+ */
+function formatLocaleNumber(value, locale) {
+  if (value === "" || value === "-") return value;
+  const { group, decimal } = numberSeparators(locale);
+  const match = String(value).match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match) return String(value);
+
+  const [, sign, integer, fraction] = match;
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+  return fraction === undefined ? `${sign}${grouped}` : `${sign}${grouped}${decimal}${fraction}`;
+}
+
+function currencyFractionDigits(locale, currency) {
+  if (!currency) return 2;
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  } catch (e) {
+    return 2;
+  }
+}
+
+const acceptNumber = (ch, { locale }) => /\d/.test(ch) || ch === "-" || ch === numberSeparators(locale).decimal;
+
+// --- Built-in formats ---
+
+// Card number grouped in fours. The value keeps the spaces (validation strips them).
+registerFormat("credit-card", {
+  format: (text) => {
+    const digits = text.replace(/\D/g, "").slice(0, 16);
+    return digits.match(/.{1,4}/g)?.join(" ") || "";
+  },
+  accept: (ch) => /\d/.test(ch)
+});
+
+// Card expiry as MM/YY. The value keeps the slash.
+registerFormat("expiry", {
+  format: (text) => {
+    const digits = text.replace(/\D/g, "").slice(0, 4);
+    return digits.length <= 2 ? digits : digits.slice(0, 2) + "/" + digits.slice(2);
+  },
+  accept: (ch) => /\d/.test(ch)
+});
+
+// Phone number. Value: digits with optional leading "+" (E.164 style, max 15 digits).
+// Display: (555) 123-4567 for North American numbers, digit groups otherwise.
+registerFormat("phone", {
+  parse: (text) => {
+    const plus = text.trim().startsWith("+") ? "+" : "";
+    return plus + text.replace(/\D/g, "").slice(0, 15);
+  },
+  format: (value, { country }) => {
+    const plus = value.startsWith("+");
+    const digits = value.replace(/\D/g, "");
+    if (!digits) return plus ? "+" : "";
+
+    const nanp = country === "US" || country === "CA";
+    if (nanp && (!plus || digits.startsWith("1"))) {
+      const prefix = plus ? "+1 " : "";
+      const local = plus ? digits.slice(1) : digits;
+      if (local.length <= 10) {
+        const area = local.slice(0, 3);
+        const exchange = local.slice(3, 6);
+        const line = local.slice(6);
+        if (local.length === 0) return plus ? "+1" : "";
+        if (local.length <= 3) return `${prefix}(${area}`;
+        if (local.length <= 6) return `${prefix}(${area}) ${exchange}`;
+        return `${prefix}(${area}) ${exchange}-${line}`;
+      }
+    }
+
+    // Groups of three, with a trailing group of up to four
+    const groups = digits.match(/\d{1,3}/g);
+    if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+      const last = groups.pop();
+      groups[groups.length - 1] += last;
+    }
+    return (plus ? "+" : "") + groups.join(" ");
+  },
+  accept: (ch) => /[\d+]/.test(ch)
+});
+
+// IBAN. Value: compact uppercase ("DE89370400440532013000"). Display: groups of four.
+registerFormat("iban", {
+  parse: (text) => text.replace(/[^0-9a-z]/gi, "").toUpperCase().slice(0, 34),
+  format: (value) => value.replace(/[^0-9A-Z]/gi, "").toUpperCase().match(/.{1,4}/g)?.join(" ") || ""
+});
+
+// Postal code patterns: [max significant characters, formatter over compact uppercase input]
+const POSTAL_CODES = {
+  US: [9, (c) => (c.length > 5 ? `${c.slice(0, 5)}-${c.slice(5)}` : c), /\d/],
+  CA: [6, (c) => (c.length > 3 ? `${c.slice(0, 3)} ${c.slice(3)}` : c)],
+  GB: [7, (c) => (c.length > 4 ? `${c.slice(0, -3)} ${c.slice(-3)}` : c)],
+  NL: [6, (c) => (c.length > 4 ? `${c.slice(0, 4)} ${c.slice(4)}` : c)],
+  PL: [5, (c) => (c.length > 2 ? `${c.slice(0, 2)}-${c.slice(2)}` : c), /\d/],
+  BR: [8, (c) => (c.length > 5 ? `${c.slice(0, 5)}-${c.slice(5)}` : c), /\d/],
+  JP: [7, (c) => (c.length > 3 ? `${c.slice(0, 3)}-${c.slice(3)}` : c), /\d/],
+  DE: [5, (c) => c, /\d/],
+  FR: [5, (c) => c, /\d/]
+};
+
+// Postal code for options.country (default: locale region). The value is the
+// canonical formatted code ("SW1A 1AA", "12345-6789"); for unknown countries
+// the text is uppercased with runs of whitespace collapsed.
+function formatPostalCode(text, { country }) {
+  const pattern = POSTAL_CODES[country];
+  if (!pattern) return text.toUpperCase().replace(/\s+/g, " ").trimStart();
+
+  const [max, render, allowed = ALPHANUMERIC] = pattern;
+  const compact = [...text.toUpperCase()].filter(ch => allowed.test(ch)).join("").slice(0, max);
+  return render(compact);
+}
+
+registerFormat("postal-code", {
+  format: formatPostalCode,
+  accept: (ch, { country }) => (POSTAL_CODES[country]?.[2] || ALPHANUMERIC).test(ch)
+});
+
+// Currency amount with locale grouping. Value: canonical decimal ("1234.5").
+// Fraction digits follow options.currency (ISO code), default 2. No symbol is
+// rendered - put it next to the input.
+registerFormat("currency", {
+  parse: (text, { locale, currency, fractionDigits }) =>
+    parseLocaleNumber(text, locale, fractionDigits ?? currencyFractionDigits(locale, currency)),
+  format: (value, { locale }) => formatLocaleNumber(value, locale),
+  accept: acceptNumber
+});
+
+// Percentage. Value: canonical decimal in percent points ("12.5"). Display: "12,5 %".
+registerFormat("percent", {
+  parse: (text, { locale, fractionDigits = 2 }) => parseLocaleNumber(text, locale, fractionDigits),
+  format: (value, { locale }) => (value === "" || value === "-" ? value : `${formatLocaleNumber(value, locale)} %`),
+  accept: acceptNumber
+});
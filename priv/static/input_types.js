@@ -0,0 +1,215 @@
+/**
+ * Typed coercion for bound inputs (data-lavash-type).
+ *
+ * Bound inputs normally put strings into state, matching Elixir params. With
+ * data-lavash-type the hook keeps typed values instead, so derives can do math
+ * and date arithmetic directly:
+ *
+ *   <input data-lavash-bind="order_params.amount" data-lavash-type="decimal" />
+ *
+ * Types:
+ * - integer: "1.234" (de-DE) -> 1234
+ * - float, decimal: "1.234,56" (de-DE) / "1,234.56" (en-US) -> 1234.56
+ * - date: "2024-01-05" (type="date") or locale text ("05.01.2024") -> Date (local midnight)
+ * - datetime: "2024-01-05T14:30" (type="datetime-local") or locale text -> Date
+ *
+ * Empty input becomes null. Text that can't be parsed is kept as the raw
+ * string, so validation still sees what the user typed.
+ *
+ * Decimals are JavaScript numbers in state, so they lose precision beyond
+ * ~15 significant digits ("12345678901234567.89" -> 12345678901234568).
+ * The wire string is built from that number, so leave such inputs untyped.
+ *
+ * The server always receives the canonical wire format, independent of locale:
+ * "1234", "1234.56", "2024-01-05", "2024-01-05T14:30:00" (naive local time,
+ * like a datetime-local input).
+ */
+
+import { numberSeparators } from "./input_formats.js";
+
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+
+// --- Numbers ---
+
+function parseNumber(text, locale, pattern) {
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+
+  const { group, decimal } = numberSeparators(locale);
+  const canonical = trimmed
+    .replace(/[\s\u00a0\u202f]/g, "")
+    .split(group).join("")
+    .replace(decimal, ".");
+
+  return pattern.test(canonical) ? Number(canonical) : text;
+}
+
+function parseWireNumber(text, pattern) {
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+  return pattern.test(trimmed) ? Number(trimmed) : text;
+}
+
+function numberToWire(value) {
+  return typeof value === "number"
+    ? value.toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 20 })
+    : value;
+}
+
+function numberToDisplay(value, locale) {
+  return typeof value === "number"
+    ? value.toLocaleString(locale, { useGrouping: false, maximumFractionDigits: 20 })
+    : value;
+}
+
+const INTEGER = /^[-+]?\d+$/;
+const DECIMAL = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+// --- Dates ---
+
+const dateOrderCache = {};
+
+// Order of day/month/year fields in the locale's numeric date ("en-US" -> ["month", "day", "year"])
+function dateOrder(locale) {
+  if (!dateOrderCache[locale]) {
+    dateOrderCache[locale] = new Intl.DateTimeFormat(locale)
+      .formatToParts(new Date(2000, 11, 31))
+      .map(part => part.type)
+      .filter(type => type === "day" || type === "month" || type === "year");
+  }
+  return dateOrderCache[locale];
+}
+
+function buildDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  if (year < 100) year += 2000;
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  // Reject overflow like Feb 31
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null;
+}
+
+// ISO "2024-01-05" or "2024-01-05T14:30[:00]" (what date/datetime-local inputs produce)
+function parseIsoDate(text) {
+  const match = text.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const [, y, m, d, h = 0, min = 0, sec = 0] = match.map(Number);
+  return buildDate(y, m, d, h, min, sec);
+}
+
+// Locale text "05.01.2024 14:30" / "1/5/2024, 2:30 PM"
+function parseLocaleDate(text, locale) {
+  const numbers = text.match(/\d+/g);
+  if (!numbers || numbers.length < 3) return null;
+
+  const fields = {};
+  dateOrder(locale).forEach((type, i) => (fields[type] = Number(numbers[i])));
+
+  let [hours = 0, minutes = 0, seconds = 0] = numbers.slice(3).map(Number);
+  if (/pm/i.test(text) && hours < 12) hours += 12;
+  if (/am/i.test(text) && hours === 12) hours = 0;
+
+  return buildDate(fields.year, fields.month, fields.day, hours, minutes, seconds);
+}
+
+function parseDate(text, locale) {
+  if (text.trim() === "") return null;
+  return parseIsoDate(text) || parseLocaleDate(text, locale) || text;
+}
+
+const isDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+function dateToWire(value) {
+  return isDate(value) ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` : value;
+}
+
+function datetimeToWire(value) {
+  return isDate(value)
+    ? `${dateToWire(value)}T${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`
+    : value;
+}
+
+// --- Registry ---
+
+/**
+ * Type specs:
+ * - parse(text, locale): input text -> typed value
+ * - fromWire(string): server/params string -> typed value
+ * - toWire(value): typed value -> canonical string for the server
+ * - display(value, locale, inputType): typed value -> input text
+ */
+const TYPES = {
+  integer: {
+    parse: (text, locale) => parseNumber(text, locale, INTEGER),
+    fromWire: (text) => parseWireNumber(text, INTEGER),
+    toWire: numberToWire,
+    display: (value, locale, inputType) => (inputType === "number" ? numberToWire(value) : numberToDisplay(value, locale))
+  },
+  float: {
+    parse: (text, locale) => parseNumber(text, locale, DECIMAL),
+    fromWire: (text) => parseWireNumber(text, DECIMAL),
+    toWire: numberToWire,
+    display: (value, locale, inputType) => (inputType === "number" ? numberToWire(value) : numberToDisplay(value, locale))
+  },
+  date: {
+    parse: parseDate,
+    fromWire: (text) => (text.trim() === "" ? null : parseIsoDate(text) || text),
+    toWire: dateToWire,
+    display: (value, locale, inputType) =>
+      isDate(value) && inputType !== "date" ? new Intl.DateTimeFormat(locale).format(value) : dateToWire(value)
+  },
+  datetime: {
+    parse: parseDate,
+    fromWire: (text) => (text.trim() === "" ? null : parseIsoDate(text) || text),
+    toWire: datetimeToWire,
+    display: (value, locale, inputType) => {
+      if (!isDate(value)) return value;
+      if (inputType === "datetime-local") return datetimeToWire(value).slice(0, 16);
+      return new Intl.DateTimeFormat(locale, { dateStyle: "short", timeStyle: "short" }).format(value);
+    }
+  }
+};
+
+// Decimals are numbers in state too (IEEE 754 doubles, see above); the
+// server casts the plain decimal string
+TYPES.decimal = TYPES.float;
+
+export function isInputType(type) {
+  return Object.prototype.hasOwnProperty.call(TYPES, type);
+}
+
+/**
+ * Coerce input text to a typed value using the locale.
+ * Native number inputs always report canonical text, whatever the locale.
+ */
+export function parseTyped(type, text, locale, inputType = "text") {
+  if (!isInputType(type) || typeof text !== "string") return text;
+  if (inputType === "number") return TYPES[type].fromWire(text);
+  return TYPES[type].parse(text, locale);
+}
+
+/**
+ * Coerce a wire/params string (e.g., from server state) to a typed value.
+ * Non-strings are returned unchanged.
+ */
+export function fromWire(type, value) {
+  if (!isInputType(type) || typeof value !== "string") return value;
+  return TYPES[type].fromWire(value);
+}
+
+/**
+ * Canonical string for the server (null stays null, unparsed text is sent as typed).
+ */
+export function toWire(type, value) {
+  if (!isInputType(type) || value == null) return value;
+  return TYPES[type].toWire(value);
+}
+
+/**
+ * Input text for a typed value. Native number/date inputs get the wire format,
+ * text inputs the locale format.
+ */
+export function displayTyped(type, value, locale, inputType = "text") {
+  if (!isInputType(type) || value == null) return value ?? "";
+  return String(TYPES[type].display(value, locale, inputType));
+}
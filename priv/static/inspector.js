@@ -0,0 +1,159 @@
+/**
+ * Inspector - Floating debug panel for mounted LavashOptimistic hooks.
+ *
+ * For each hook it shows:
+ * - clientVersion / serverVersion
+ * - Pending SyncedVar paths (optimistic changes awaiting the server)
+ * - The current client state
+ * - The derive graph (derive -> dependencies)
+ *
+ * Opened via `Lavash.debug.inspect()`. The panel lives on document.body,
+ * outside any LiveView container, so morphdom never patches it.
+ */
+
+const PANEL_ID = "lavash-inspector";
+
+const PANEL_STYLE = [
+  "position:fixed", "right:8px", "bottom:8px", "z-index:2147483647",
+  "width:360px", "max-height:50vh", "overflow:auto",
+  "background:#111827", "color:#e5e7eb", "border-radius:6px",
+  "box-shadow:0 4px 16px rgba(0,0,0,.35)",
+  "font:11px/1.4 ui-monospace,SFMono-Regular,Menlo,monospace"
+].join(";");
+
+export class Inspector {
+  /**
+   * @param {Function} getHooks - () => Array of mounted hooks
+   */
+  constructor(getHooks) {
+    this.getHooks = getHooks;
+    this.panel = null;
+    this.body = null;
+    this.frame = null;
+    // Expanded sections survive re-renders: "<hookId>:<section>" is open,
+    // "!<hookId>:<section>" collapsed, a bare "<section>" is open by default
+    this.openSections = new Set(["state"]);
+  }
+
+  get isOpen() {
+    return this.panel !== null;
+  }
+
+  open() {
+    if (this.panel) return;
+
+    this.panel = document.createElement("div");
+    this.panel.id = PANEL_ID;
+    this.panel.setAttribute("style", PANEL_STYLE);
+
+    const header = document.createElement("div");
+    header.setAttribute("style", "display:flex;justify-content:space-between;padding:6px 8px;background:#1f2937;position:sticky;top:0");
+    header.append(this._text("strong", "Lavash Inspector"));
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.textContent = "×";
+    close.setAttribute("aria-label", "Close inspector");
+    close.setAttribute("style", "background:none;border:0;color:inherit;cursor:pointer;font-size:14px;line-height:1");
+    close.addEventListener("click", () => this.close());
+    header.append(close);
+
+    this.body = document.createElement("div");
+    this.body.setAttribute("style", "padding:4px 8px 8px");
+
+    this.panel.append(header, this.body);
+    document.body.appendChild(this.panel);
+    this.render();
+  }
+
+  close() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.panel?.remove();
+    this.panel = null;
+    this.body = null;
+  }
+
+  /**
+   * Schedule a re-render (coalesced to one per animation frame).
+   */
+  refresh() {
+    if (!this.panel || this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  render() {
+    if (!this.body) return;
+
+    const hooks = this.getHooks();
+    this.body.replaceChildren();
+
+    if (hooks.length === 0) {
+      this.body.append(this._text("p", "No LavashOptimistic hooks mounted."));
+      return;
+    }
+
+    for (const hook of hooks) {
+      this.body.append(this._renderHook(hook));
+    }
+  }
+
+  _renderHook(hook) {
+    const id = hook.el?.id || "(no id)";
+    const container = document.createElement("div");
+    container.setAttribute("style", "border-top:1px solid #374151;padding-top:4px;margin-top:4px");
+
+    const module = hook.el?.dataset.lavashModule || hook.el?.dataset.lavashComponent || "";
+    container.append(this._text("div", `#${id} ${module}`, "color:#93c5fd"));
+    container.append(this._text("div", `clientVersion=${hook.clientVersion} serverVersion=${hook.serverVersion}`));
+
+    const pending = hook.store?.getPendingPaths() || [];
+    container.append(this._section(id, "pending", `Pending (${pending.length})`, pending.join("\n") || "none"));
+    container.append(this._section(id, "state", "State", this._json(hook.state)));
+
+    const graph = Object.entries(hook.graph || {})
+      .map(([name, meta]) => `${name} ← ${(meta.deps || []).join(", ")}`)
+      .join("\n");
+    container.append(this._section(id, "graph", "Derive graph", graph || "none"));
+
+    return container;
+  }
+
+  _section(hookId, name, title, content) {
+    const key = `${hookId}:${name}`;
+    const details = document.createElement("details");
+    details.open = this.openSections.has(key) || (this.openSections.has(name) && !this.openSections.has(`!${key}`));
+    details.addEventListener("toggle", () => {
+      if (details.open) {
+        this.openSections.add(key);
+        this.openSections.delete(`!${key}`);
+      } else {
+        this.openSections.delete(key);
+        this.openSections.add(`!${key}`);
+      }
+    });
+
+    const summary = this._text("summary", title, "cursor:pointer");
+    const pre = this._text("pre", content, "margin:2px 0 0;white-space:pre-wrap;word-break:break-all");
+    details.append(summary, pre);
+    return details;
+  }
+
+  _json(value) {
+    try {
+      return JSON.stringify(value, null, 2);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  _text(tag, text, style = null) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if (style) el.setAttribute("style", style);
+    return el;
+  }
+}
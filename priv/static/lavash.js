@@ -17,30 +17,112 @@
  * - Merging colocated hooks from your app and Lavash library
  * - Setting up the Lavash global namespace
  * - Managing Lavash state for reconnection
+ *
+ * Socket state can optionally be persisted across full page reloads. Configure
+ * storage before connecting so the hydrated state is in place when LiveSocket
+ * reads `params`:
+ *
+ *     await Lavash.configureStorage({ adapter: "session", ttl: 30 * 60 * 1000, version: 1 })
+ *     liveSocket.connect()
+ *
+ * Stored state is keyed per page (module and path by default). After live
+ * navigation to a page with another key, lavashState is replaced with that
+ * page's stored state.
+ *
+ * Client logging is quiet (warnings and errors) by default. Turn on namespaces
+ * from the console with `Lavash.debug.enable("optimistic,forms")`, or open the
+ * state inspector with `Lavash.debug.inspect()` (see debug.js).
  */
 
 import { SyncedVar } from "./synced_var.js";
 import { LavashOptimistic } from "./lavash_optimistic.js";
 import { OverlayAnimator } from "./overlay_animator.js";
+import { StateStorage, storageAdapters } from "./state_storage.js";
+import { debug, createLogger } from "./debug.js";
+import { registerFormat } from "./input_formats.js";
+import { configure } from "./ui_config.js";
+import { registerMessages, setLocale } from "./messages.js";
+import { registerUrlType } from "./url_types.js";
 
-// Lavash state - survives reconnects, lost on page refresh
+const log = createLogger("store", "Lavash");
+
+// Lavash state - survives reconnects, lost on page refresh unless storage is configured
 const lavashState = {
   // Page-level state (LiveView)
   // Component state is stored under _components keyed by component ID
   _components: {}
 };
 
+// Optional persistent storage for lavashState (see configureStorage)
+let stateStorage = null;
+// Storage key of the page lavashState belongs to, and its hydration (saves wait for it)
+let storageKey = null;
+let hydration = Promise.resolve(lavashState);
+
+/**
+ * Save lavashState under its page's key once hydration finished, so the stored
+ * blob can't overwrite newer synced values (or be overwritten half-loaded).
+ */
+function persistState() {
+  if (!stateStorage) return;
+  const storage = stateStorage;
+  hydration.then(() => {
+    if (storage === stateStorage) storage.save(lavashState, storageKey);
+  });
+}
+
+// Merge stored state into lavashState; values synced while it loaded are newer and win
+function hydrate(stored) {
+  if (!stored) return;
+  const { _components, ...pageState } = stored;
+  for (const [key, value] of Object.entries(pageState)) {
+    if (!(key in lavashState)) lavashState[key] = value;
+  }
+  for (const [id, state] of Object.entries(_components || {})) {
+    lavashState._components[id] = { ...state, ...lavashState._components[id] };
+  }
+  log.debug("State hydrated from storage:", lavashState);
+}
+
+// Load the current page's stored state into lavashState
+function hydrateFromStorage() {
+  const storage = stateStorage;
+  const key = storage.key();
+  storageKey = key;
+
+  hydration = Promise.resolve(storage.load(key)).then((stored) => {
+    // Navigated again (or reconfigured) while loading
+    if (storage === stateStorage && key === storageKey) hydrate(stored);
+    return lavashState;
+  });
+  return hydration;
+}
+
 // Listen for LiveView state sync events
 window.addEventListener("phx:_lavash_sync", (e) => {
   Object.assign(lavashState, e.detail);
-  console.debug("[Lavash] LiveView state synced:", lavashState);
+  log.debug("LiveView state synced:", lavashState);
+  persistState();
 });
 
 // Listen for component state sync events
 window.addEventListener("phx:_lavash_component_sync", (e) => {
   const { id, state } = e.detail;
   lavashState._components[id] = { ...lavashState._components[id], ...state };
-  console.debug(`[Lavash] Component ${id} state synced:`, lavashState._components[id]);
+  log.debug(`Component ${id} state synced:`, lavashState._components[id]);
+  persistState();
+});
+
+// Live navigation (or a patch to another path) may land on a page with another
+// storage key - its state replaces the previous page's
+window.addEventListener("phx:page-loading-stop", () => {
+  if (!stateStorage || stateStorage.key() === storageKey) return;
+
+  for (const key of Object.keys(lavashState)) {
+    if (key !== "_components") delete lavashState[key];
+  }
+  lavashState._components = {};
+  hydrateFromStorage();
 });
 
 // Register Lavash on window for colocated hooks and generated optimistic functions
@@ -89,6 +171,29 @@ function registerOptimistic(optimisticFns) {
   Object.assign(window.Lavash.optimistic, optimisticFns);
 }
 
+/**
+ * Persist socket state across full page reloads.
+ *
+ * Hydrates lavashState from the configured storage, then mirrors every
+ * subsequent sync into it. Call before `liveSocket.connect()` and await the
+ * result when using an asynchronous adapter (IndexedDB). Syncs that arrive
+ * while it loads are kept, and saved once it finished.
+ *
+ * @param {Object} options - StateStorage options (adapter, ttl, version, namespace, prefix)
+ * @returns {Promise<Object>} Resolves with lavashState once hydrated
+ */
+function configureStorage(options = {}) {
+  stateStorage = new StateStorage(options);
+  return hydrateFromStorage();
+}
+
+/**
+ * Remove persisted state for the current page (e.g., on logout).
+ */
+function clearStorage() {
+  stateStorage?.clear(storageKey);
+}
+
 // Default export for convenient importing
 export default {
   hooks: getHooks(),
@@ -96,6 +201,15 @@ export default {
   getHooks,
   getState,
   registerOptimistic,
+  configureStorage,
+  clearStorage,
+  storageAdapters,
+  registerFormat,
+  configure,
+  registerMessages,
+  setLocale,
+  registerUrlType,
+  debug,
   SyncedVar,
   OverlayAnimator
 };
@@ -108,5 +222,15 @@ export {
   getHooks,
   getState,
   registerOptimistic,
+  configureStorage,
+  clearStorage,
+  storageAdapters,
+  StateStorage,
+  registerFormat,
+  configure,
+  registerMessages,
+  setLocale,
+  registerUrlType,
+  debug,
   lavashState
 };
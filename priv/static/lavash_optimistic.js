@@ -20,40 +20,297 @@
  * - data-lavash-state: JSON-encoded initial state
  * - data-lavash-version: Server state version for stale patch detection
  * - data-lavash-url-fields: JSON array of fields to sync to URL
+ * - data-lavash-url-history: JSON map of URL fields that push history entries (history: :push)
+ * - data-lavash-url-keys: JSON map of URL fields to their query param names (url_key)
+ * - data-lavash-url-defaults: JSON map of URL field defaults, which are left out of the URL
+ * - data-lavash-url-route: Route pattern of the page ("/products/:category"); fields named in it live in the path
+ * - data-lavash-url-hash: JSON array of URL fields kept in location.hash (hash: true)
+ * - data-lavash-sync-tabs: JSON array of fields shared with other tabs of the page (sync: :tabs)
+ * - data-lavash-sync-key: BroadcastChannel key for those fields (module and route params)
+ * - data-lavash-url-coalesce: ms within which pushed URL changes share one history entry (default 1000)
  * - data-lavash-bindings: JSON map of local->parent field bindings (ClientComponents)
+ * - data-lavash-reply-timeout: ms to wait for a server reply before rolling back (default 15000)
+ * - data-lavash-history-limit: Max undo entries per history group (default 50)
+ * - data-lavash-history-keys: Enable Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z / Ctrl+Y shortcuts
  *
  * User-Facing Attributes (used in templates):
- * - data-lavash-bind: Sync input value to state (e.g., "registration_params.name")
+ * - data-lavash-bind: Sync input value to state (e.g., "registration_params.name").
+ *   Checkboxes bind booleans (or arrays when several share a path), radio groups
+ *   the checked value, and <select multiple> an array of selected values.
  * - data-lavash-form: Explicit form name for validation (avoids regex parsing)
  * - data-lavash-field: Explicit form field name for validation (avoids regex parsing)
  * - data-lavash-state-field: State field for ClientComponent actions (e.g., "tags", "selected")
  * - data-lavash-valid: Override which state field to check for validity
+ * - data-lavash-format: Input formatter (credit-card, expiry, phone, iban, postal-code, currency, percent, or custom)
+ * - data-lavash-format-options: JSON options for the formatter (e.g., {"currency": "EUR", "country": "GB"})
+ * - data-lavash-locale: Locale for formatters on descendant inputs (default: lang attribute, then browser)
+ * - data-lavash-type: Keep a typed value in state (integer, float, decimal, date, datetime), parsed per locale
  * - data-lavash-action: Trigger optimistic action on click
  * - data-lavash-value: Value to pass to action
  * - data-lavash-display: Display state value as text content
- * - data-lavash-visible: Show/hide element based on boolean state (toggles "hidden" class)
+ * - data-lavash-visible: Show/hide element based on boolean state (toggles the configured "hidden" class)
  * - data-lavash-enabled: Enable/disable element based on boolean state
  * - data-lavash-toggle: Toggle classes based on boolean (format: "field|trueClasses|falseClasses")
  * - data-lavash-class: Apply class from state map (e.g., "roast_chips.light")
- * - data-lavash-errors: Container for field error messages
- * - data-lavash-error-summary: Container for form error summary
- * - data-lavash-status: Field status indicator (✗ when invalid)
+ * - data-lavash-attr: Bind attributes/properties to state (e.g., "href:share_url,aria-expanded:open")
+ * - data-lavash-style: Bind CSS (custom) properties to state (e.g., "--progress:percent")
+ * - data-lavash-each: Render a state list from a <template> child (client-side while unconfirmed)
+ * - data-lavash-key: Item property used as the list key (default: the item itself, or its index)
+ * - data-lavash-item-key: Key of a rendered list item (set by the client, render it server-side too)
+ * - data-lavash-item: Inside a list item, show an item property as text ("." for the item itself)
+ * - data-lavash-item-attr: Inside a list item, bind attributes to item properties (e.g., "data-lavash-value:id")
+ * - data-lavash-errors: Container for field error messages (a polite live region; bound inputs of the
+ *   field get aria-describedby pointing at its id and aria-invalid while showing errors)
+ * - data-lavash-error-summary: Container for form error summary (focused and announced on a blocked submit)
+ * - data-lavash-status: Field status indicator; sets data-lavash-status-state to idle, validating, valid or invalid
+ * - data-lavash-status-{idle,validating,valid,invalid}: Markup shown per status (default: "✗" when invalid, else empty)
+ * - data-lavash-error-template: On a <template> inside an errors/summary/status container (or an ancestor):
+ *   markup for error items ("" / "error"), "summary", "summary-item" or "status-<status>" (see ui_config.js)
+ * - data-lavash-classes: JSON class overrides for the element and its descendants (see ui_config.js)
+ * - data-lavash-label: Field label for error summaries and templates, on the bound input or errors element
+ *   (default: text of the input's <label for>, then the humanized field name)
  * - data-lavash-show-errors: Override which show_errors field to check for visibility
+ * - data-lavash-validate: When to run server validation: "input" (default, once touched), "blur" or "submit".
+ *   Set on an input, or on a form/container as the default for the inputs inside it
+ * - data-lavash-debounce: Server validation debounce in ms while typing (default 500; input or container)
+ * - data-lavash-dirty: Set by the client on bound inputs whose value differs from their initial value,
+ *   and on their <form> (for styling)
+ * - data-lavash-steps: Multi-step form container (value: state field holding the current step);
+ *   shows the current step's sections and sets data-lavash-step-current
+ * - data-lavash-step: Step name of a section (or input) inside data-lavash-steps
+ * - data-lavash-step-next / data-lavash-step-prev: Go to the next step (after validating the current
+ *   one: its errors show and the first invalid field is focused) / the previous step
+ * - data-lavash-step-to: Go to a named step (forward jumps validate the steps in between)
+ * - data-lavash-reset: Reset a form on click (value: form name) to the params it was mounted with,
+ *   clearing touched/submitted state and server errors. Native <form> resets do the same
+ * - data-lavash-dirty-guard: On a form or the hook root: confirm before leaving (beforeunload,
+ *   live_patch/navigate links) while it has dirty, unsubmitted fields. Value: confirmation text
  * - data-lavash-preserve: Prevent morphdom from updating this element
+ * - data-lavash-pending: Mark busy while a state field is unconfirmed (aria-busy + classes)
+ * - data-lavash-pending-action: Mark busy while an action awaits its server reply
+ * - data-lavash-pending-class: Classes toggled by the pending attributes (default "lavash-pending")
+ * - data-lavash-history: Undo history group for actions inside this element (default: form id)
+ * - data-lavash-undo: Undo the latest action on click (value: group, defaults to the trigger's group)
+ * - data-lavash-redo: Redo the latest undone action on click (value: group)
+ *
+ * DOM Events (dispatched on the hook root, bubbling):
+ * - lavash:rollback: An optimistic action was undone; detail { action, reason, fields }
+ * - lavash:pending-change: The set of unconfirmed fields/actions changed; detail { fields, actions }
+ *
+ * Window Events:
+ * - lavash:locale-change: Lavash.setLocale() was called; hooks recompute error messages
+ *
+ * Server Events (push_event):
+ * - _lavash_submitted: A submit action finished; { form, ok }. Success resets the form's dirty state
+ *
+ * Client State (set by the hook, bindable like any other state field):
+ * - lavash_unsaved_count: Number of actions queued while offline, not yet acknowledged
+ * - lavash_has_unsaved: true while lavash_unsaved_count > 0
+ * - lavash_offline: true while the LiveSocket is disconnected
+ * - lavash_can_undo / lavash_can_redo: Whether undo/redo history is available
+ * - {form}_{field}_validating: true while a server validation request for the field is in flight
+ * - {form}_{field}_dirty / {form}_dirty: The field / any field of the form differs from its initial value
  */
 
 import { SyncedVarStore } from "./synced_var.js";
 import { AnimatedState } from "./animated_state.js";
-import { syncStateToUrl } from "./url_sync.js";
+import { syncStateToUrl, readStateFromUrl } from "./url_sync.js";
+import { registerUrlType } from "./url_types.js";
+import { ActionQueue } from "./action_queue.js";
+import { HistoryStack } from "./history_stack.js";
+import { createLogger, trackHook, untrackHook, hookUpdated } from "./debug.js";
+import { registerFormat, formatInput, formatValue, resolveFormatOptions, resolveLocale } from "./input_formats.js";
+import { parseTyped, fromWire, toWire, displayTyped } from "./input_types.js";
+import {
+  configure, configuredText, classesFor, toggleClasses, setHidden,
+  findTemplate, templateFromHTML, renderTemplate, replaceContent
+} from "./ui_config.js";
+import { registerMessages, setLocale, translate } from "./messages.js";
+import { announce } from "./announcer.js";
+import { TabSync } from "./tab_sync.js";
 
 // Registry for optimistic function modules (for custom overrides)
 window.Lavash = window.Lavash || {};
 window.Lavash.optimistic = window.Lavash.optimistic || {};
 
+// Namespaced loggers (see debug.js; silent below "warn" unless enabled)
+const log = createLogger("optimistic", "LavashOptimistic");
+const formsLog = createLogger("forms", "LavashOptimistic");
+const animationLog = createLogger("animation", "LavashOptimistic");
+
+// data-lavash-errors containers already warned about for lacking an id
+const unlinkedErrorContainers = new WeakSet();
+
+// Attribute bindings applied by updateDOM(), in update order.
+// `fields` returns the state fields an element reads, so updateDOM(changedFields)
+// can skip elements that don't reference a changed field; `update` names the
+// hook method that applies state to the element. Both are called with the hook as `this`.
+const DOM_BINDINGS = [
+  { attr: "data-lavash-display", fields: (el) => [el.dataset.lavashDisplay], update: "updateDisplayElement" },
+  { attr: "data-lavash-visible", fields: (el) => [el.dataset.lavashVisible], update: "updateVisibleElement" },
+  { attr: "data-lavash-enabled", fields: (el) => [el.dataset.lavashEnabled], update: "updateEnabledElement" },
+  { attr: "data-lavash-toggle", fields: (el) => [el.dataset.lavashToggle.split("|")[0]], update: "updateToggleElement" },
+  { attr: "data-lavash-class", fields: (el) => [el.dataset.lavashClass.split(".")[0]], update: "updateClassElement" },
+  {
+    attr: "data-lavash-attr",
+    fields: (el) => parseBindingPairs(el.dataset.lavashAttr).map(([, path]) => path.split(".")[0]),
+    update: "updateAttrElement"
+  },
+  {
+    attr: "data-lavash-style",
+    fields: (el) => parseBindingPairs(el.dataset.lavashStyle).map(([, path]) => path.split(".")[0]),
+    update: "updateStyleElement"
+  },
+  {
+    attr: "data-lavash-each",
+    fields: (el) => [el.dataset.lavashEach.split(".")[0]],
+    update: "updateEachElement"
+  },
+  { attr: "data-lavash-steps", fields: (el) => [el.dataset.lavashSteps], update: "updateStepsElement" },
+  {
+    attr: "data-lavash-errors",
+    fields(el) { return Object.values(this.errorsElementFields(el)); },
+    update: "updateErrorsElement"
+  },
+  {
+    attr: "data-lavash-error-summary",
+    fields(el) { return this.formErrorFields(el.dataset.lavashErrorSummary); },
+    update: "updateErrorSummaryElement"
+  },
+  {
+    attr: "data-lavash-status",
+    fields(el) { return Object.values(this.statusElementFields(el)); },
+    update: "updateStatusElement"
+  },
+  {
+    attr: "data-lavash-bind",
+    fields(el) { return Object.values(this.inputValidationFields(el) || {}); },
+    update: "updateInputValidationClasses"
+  }
+];
+
+const DOM_BINDING_SELECTOR = DOM_BINDINGS.map(b => `[${b.attr}]`).join(", ");
+
+// Pending indicators, indexed too but applied by updatePendingIndicators()
+const PENDING_ATTRIBUTES = ["data-lavash-pending", "data-lavash-pending-action"];
+
+// Elements the DOM index tracks
+const DOM_INDEX_SELECTOR = [DOM_BINDING_SELECTOR, ...PENDING_ATTRIBUTES.map(attr => `[${attr}]`), "[phx-hook]"].join(", ");
+
+// Attributes whose changes invalidate the DOM index (bindings + field resolution)
+const DOM_INDEX_ATTRIBUTES = [
+  ...DOM_BINDINGS.map(b => b.attr),
+  ...PENDING_ATTRIBUTES,
+  "data-lavash-form", "data-lavash-field", "data-lavash-show-errors", "data-lavash-valid", "data-lavash-step", "phx-hook"
+];
+
+// Properties set directly by data-lavash-attr (their attributes stop reflecting
+// the live state once the user interacts with the element)
+const PROPERTY_BINDINGS = new Set(["value", "checked", "selected", "indeterminate"]);
+
+// Parse "href:share_url,aria-expanded:open" into [["href", "share_url"], ["aria-expanded", "open"]]
+function parseBindingPairs(spec) {
+  return (spec || "").split(",")
+    .map(pair => {
+      const sep = pair.lastIndexOf(":");
+      return [pair.slice(0, sep).trim(), pair.slice(sep + 1).trim()];
+    })
+    .filter(([name, path]) => name && path);
+}
+
+// Apply a state value to an attribute or property (data-lavash-attr).
+// null/undefined/false remove the attribute, true sets it empty; aria-* get "true"/"false".
+function applyAttrBinding(el, name, value) {
+  if (PROPERTY_BINDINGS.has(name)) {
+    el[name] = name === "value" ? String(value ?? "") : Boolean(value);
+  } else if (name.startsWith("aria-") && typeof value === "boolean") {
+    el.setAttribute(name, String(value));
+  } else if (value === null || value === undefined || value === false) {
+    el.removeAttribute(name);
+  } else {
+    el.setAttribute(name, value === true ? "" : String(value));
+  }
+}
+
+// Apply a state value to a CSS property or custom property (data-lavash-style).
+function applyStyleBinding(el, property, value) {
+  if (value === null || value === undefined || value === false || value === "") {
+    el.style.removeProperty(property);
+  } else {
+    el.style.setProperty(property, String(value));
+  }
+}
+
+// Value at a dotted path inside a list item ("" or "." is the item itself)
+function itemValueAt(item, path) {
+  if (!path || path === ".") return item;
+  return path.split(".").reduce((acc, key) => acc?.[key], item);
+}
+
+// State value for a URL field read back from the query string (popstate), shaped
+// like the field's current value: absent -> empty, "2" -> 2 for numbers, "true" -> true
+function urlValueLike(raw, current) {
+  if (raw === undefined) {
+    if (Array.isArray(current)) return [];
+    return typeof current === "string" ? "" : null;
+  }
+  if (Array.isArray(raw)) {
+    return typeof current?.[0] === "number" ? raw.map(Number) : raw;
+  }
+  if (typeof current === "number" && raw.trim() !== "" && !Number.isNaN(Number(raw))) return Number(raw);
+  if (typeof current === "boolean") return raw === "true";
+  return raw;
+}
+
+// Default time to wait for a server reply before rolling back an optimistic action
+const DEFAULT_REPLY_TIMEOUT = 15000;
+
+// Undo history group for actions outside any form or data-lavash-history scope
+const DEFAULT_HISTORY_GROUP = "default";
+
+// data-lavash-validate values; the first is the default
+const VALIDATE_STRATEGIES = ["input", "blur", "submit"];
+
+// Default server validation debounce while typing (data-lavash-debounce)
+const DEFAULT_VALIDATION_DEBOUNCE = 500;
+
+// data-lavash-status markup per validation status, overridable with data-lavash-status-<status>
+const DEFAULT_STATUS_MARKUP = { idle: "", validating: "", valid: "", invalid: "✗" };
+
+// Value of a bound field as compared by dirty tracking; empty values (null, "", []) are all the same
+function dirtyComparable(value) {
+  if (value == null || value === "" || (Array.isArray(value) && value.length === 0)) return "";
+  return JSON.stringify(value);
+}
+
 // Registry for preserving client-only state across hook remounts
-// Keys are element IDs, values contain fieldState and submittedForms
+// Keys are element IDs, values contain fieldState, submittedForms, initialValues and initialParams
 const _preservedClientState = new Map();
 
+// Custom data-lavash-format formatters: Lavash.registerFormat(name, { format, parse, accept })
+window.Lavash.registerFormat = registerFormat;
+
+// Classes, texts and templates of client-rendered feedback: Lavash.configure({ classes, text, templates })
+window.Lavash.configure = configure;
+
+// Validation message catalog; generated validators call Lavash.translate(code, params)
+window.Lavash.registerMessages = registerMessages;
+window.Lavash.setLocale = setLocale;
+window.Lavash.translate = translate;
+
+// URL codecs for custom Lavash.Type modules: Lavash.registerUrlType(name, { encode, decode })
+window.Lavash.registerUrlType = registerUrlType;
+
+// Disabled styling for data-lavash-enabled elements
+function applyEnabledClasses(el, enabled) {
+  if (enabled) {
+    toggleClasses(el, "disabled", false);
+    toggleClasses(el, "disabledRendered", false);
+  } else {
+    toggleClasses(el, "disabled", true);
+  }
+}
+
 // Helper to register custom optimistic functions for a module
 window.Lavash.registerOptimistic = function(moduleName, fns) {
   window.Lavash.optimistic[moduleName] = fns;
@@ -78,6 +335,21 @@ const LavashOptimistic = {
 
     // URL fields that should be synced to the browser URL
     this.urlFields = JSON.parse(this.el.dataset.lavashUrlFields || "[]");
+    // Fields declared with history: :push (field -> "push"), and how long rapid changes share an entry
+    this.urlHistory = JSON.parse(this.el.dataset.lavashUrlHistory || "{}");
+    // Query param names of aliased fields (url_key) and defaults, which stay out of the URL
+    this.urlKeys = JSON.parse(this.el.dataset.lavashUrlKeys || "{}");
+    this.urlDefaults = JSON.parse(this.el.dataset.lavashUrlDefaults || "{}");
+    // Fields kept in location.hash, which the server never sees
+    this.urlHash = JSON.parse(this.el.dataset.lavashUrlHash || "[]");
+
+    // Fields whose confirmed values are shared with other tabs (sync: :tabs)
+    this.syncTabs = JSON.parse(this.el.dataset.lavashSyncTabs || "[]");
+    this.tabSync = null;
+    const urlCoalesce = parseInt(this.el.dataset.lavashUrlCoalesce || "", 10);
+    this.urlCoalesce = Number.isNaN(urlCoalesce) ? undefined : urlCoalesce;
+    // When and for which fields this hook last pushed a history entry
+    this.urlLastPush = { at: 0, fields: null };
 
     // Bindings map: local field -> parent field (for parent-to-child propagation)
     // When parent state changes, we update our local state and animate
@@ -90,17 +362,43 @@ const LavashOptimistic = {
     if (preservedState) {
       this.fieldState = preservedState.fieldState || {};
       this.submittedForms = preservedState.submittedForms || new Set();
+      this.initialValues = preservedState.initialValues || {};
+      this.initialParams = preservedState.initialParams || {};
       _preservedClientState.delete(this.el.id);
     } else {
       this.fieldState = {};
       // Per-form submitted state: Set of form IDs that have been submitted
       // This prevents a child component's form submit from affecting parent forms
       this.submittedForms = new Set();
+      // Dirty tracking baseline: field path -> dirtyComparable() of its initial value
+      this.initialValues = {};
+      // Form reset target: params field -> its value when the form's inputs first appeared
+      this.initialParams = {};
     }
 
+    // Forms whose submit awaits the server's result (_lavash_submitted); the
+    // unsaved-changes guard lets navigation through for them
+    this.submittingForms = new Set();
+
     // Server validation debounce timers: field path -> timeout ID
     this.validationTimers = {};
 
+    // Per-field validation sequence ("form:field" -> seq), bumped on every keystroke.
+    // Replies carrying an older seq than the latest are discarded as stale.
+    this.validationSeq = {};
+    // Latest seq sent to the server and latest seq whose reply was applied
+    this.validationSent = {};
+    this.validationApplied = {};
+
+    // Server validation lifecycle per "form:field": idle -> validating -> valid | invalid
+    this.validationStatus = {};
+    // Seq of the request currently awaiting a reply ("form:field" -> seq)
+    this.validationInFlight = {};
+    // Forms whose submit waits for in-flight validations (form name -> <form>)
+    this.pendingSubmits = new Map();
+    // Wizards whose step change waits for in-flight validations (container -> target step)
+    this.pendingSteps = new Map();
+
     // Load generated functions from inline JSON script tag
     this.loadGeneratedFunctions();
 
@@ -136,6 +434,14 @@ const LavashOptimistic = {
     // Track form submit for formSubmitted state
     this.el.addEventListener("submit", this.handleFormSubmit.bind(this), true);
 
+    // Native <form> reset restores Lavash form state too
+    this._formResetHandler = this.handleFormReset.bind(this);
+    this.el.addEventListener("reset", this._formResetHandler, true);
+
+    // Send parsed values for data-lavash-format/-type inputs when forms are serialized
+    this._formDataHandler = this.handleFormData.bind(this);
+    this.el.addEventListener("formdata", this._formDataHandler, true);
+
     // Handle lavash-set events from child ClientComponents
     // This allows nested components to set bound state on parent components
     // Use bubbling mode (not capture) so the closest ancestor hook handles it first
@@ -144,12 +450,91 @@ const LavashOptimistic = {
     // Install global DOM callback for input preservation (only once globally)
     this._installGlobalDomCallback();
 
+    // Field -> bound elements index for incremental updateDOM (built on first use)
+    this._domIndex = null;
+    this.observeDomIndex();
+
     // Initialize form params from DOM values (for prepopulated/default values)
     // This ensures validation works correctly for fields with defaults
     this.initializeFormParamsFromDOM();
 
+    // Server state holds wire strings for data-lavash-type fields - derives expect typed values
+    if (this.coerceBoundState()) {
+      this.recomputeDerives();
+    }
+
+    // Show server-rendered values of data-lavash-format/-type inputs for the locale
+    this.formatBoundInputs();
+
+    // Dirty tracking: remember the values forms started with
+    this._beforeUnloadHandler = this.handleBeforeUnload.bind(this);
+    this._guardedNavigationHandler = this.handleGuardedNavigation.bind(this);
+    this.snapshotInitialValues();
+    this.updateDirtyState();
+    this.handleEvent("_lavash_submitted", (result) => this.handleSubmitResult(result));
+
     // Initialize animated state managers
     this.initAnimatedFields();
+
+    // Outbound queue for actions pushed while disconnected
+    this.initActionQueue();
+
+    // Undo/redo history of optimistic action deltas
+    const historyLimit = parseInt(this.el.dataset.lavashHistoryLimit || "", 10);
+    this.history = new HistoryStack({ limit: Number.isNaN(historyLimit) ? 50 : historyLimit });
+    this.updateHistoryState();
+    if (this.el.hasAttribute("data-lavash-history-keys")) {
+      this._historyKeydownHandler = this.handleHistoryKeydown.bind(this);
+      this.el.addEventListener("keydown", this._historyKeydownHandler);
+    }
+
+    // Back/forward (and hash links) restore URL state from the entry's URL
+    if (this.urlFields.length > 0) {
+      this._popStateHandler = this.handlePopState.bind(this);
+      window.addEventListener("popstate", this._popStateHandler);
+    }
+
+    // Hash fields aren't part of the request, so the server rendered their defaults
+    if (this.urlHash.length > 0) {
+      this.applyUrlState(this.urlHash);
+    }
+
+    this.openTabSync();
+
+    // Error messages are computed in derives - recompute them in the new locale
+    this._localeChangeHandler = () => {
+      this.recomputeDerives();
+      this.updateDOM();
+    };
+    window.addEventListener("lavash:locale-change", this._localeChangeHandler);
+
+    // Make this hook visible to Lavash.debug.inspect()
+    trackHook(this);
+  },
+
+  /**
+   * Initialize the offline action queue.
+   * Restores any entries persisted by a previous mount (or page load) and
+   * replays them right away, since mounted() runs on a joined view.
+   */
+  initActionQueue() {
+    const storageKey = this.el.id ? `lavash:queue:${window.location.pathname}:${this.el.id}` : null;
+    this.actionQueue = new ActionQueue(storageKey);
+    this._replayingSeqs = new Set();
+
+    // Action name -> number of pushes awaiting a reply (for data-lavash-pending-action)
+    this.inFlightActions = {};
+    // Pushes awaiting a reply, with their reply timers (see sendAction)
+    this.inFlightSends = new Set();
+
+    if (this.actionQueue.size > 0 && this.isSocketConnected()) {
+      this.replayQueue();
+    }
+
+    this.updateQueueState();
+    if (this.actionQueue.size > 0) {
+      this.updateDOM();
+    }
   },
 
   /**
@@ -167,13 +552,13 @@ const LavashOptimistic = {
     if (animatedConfigs.length === 0 && this.el.dataset.lavashAnimated) {
       try {
         animatedConfigs = JSON.parse(this.el.dataset.lavashAnimated);
-        console.log(`[LavashOptimistic] Parsed animated configs from data attr:`, animatedConfigs);
+        animationLog.debug(`Parsed animated configs from data attr:`, animatedConfigs);
       } catch (e) {
-        console.warn("[LavashOptimistic] Failed to parse data-lavash-animated:", e);
+        animationLog.warn("Failed to parse data-lavash-animated:", e);
       }
     }
 
-    console.log(`[LavashOptimistic] initAnimatedFields: ${animatedConfigs.length} configs`, animatedConfigs);
+    animationLog.debug(`initAnimatedFields: ${animatedConfigs.length} configs`, animatedConfigs);
 
     for (const config of animatedConfigs) {
       // Create delegate based on type
@@ -197,7 +582,7 @@ const LavashOptimistic = {
               openField: config.field,
               js: this.js()
             });
-            console.debug(`[LavashOptimistic] Created OverlayAnimator (modal) for ${config.field} on #${modalChromeId}`);
+            animationLog.debug(`Created OverlayAnimator (modal) for ${config.field} on #${modalChromeId}`);
 
             // Register content element IDs for ghost detection in onBeforeElUpdated
             const mainContentId = `${modalChromeId}-main_content`;
@@ -211,27 +596,27 @@ const LavashOptimistic = {
 
             const openHandler = (e) => {
               const openValue = e.detail?.[config.field] ?? e.detail?.value ?? true;
-              console.log(`[LavashOptimistic] open-panel event for ${config.field}:`, openValue);
-              console.log(`[LavashOptimistic] animatedStates:`, Object.keys(this.animatedStates || {}));
+              animationLog.debug(`open-panel event for ${config.field}:`, openValue);
+              animationLog.debug(`animatedStates:`, Object.keys(this.animatedStates || {}));
               // AnimatedState is created after this block, access via closure
               const animState = this.animatedStates[config.field];
               if (animState) {
-                console.log(`[LavashOptimistic] Found animState, calling set()`);
+                animationLog.debug(`Found animState, calling set()`);
                 animState.syncedVar.set(openValue, (p, cb) => {
-                  console.log(`[LavashOptimistic] pushEventTo ${setterAction}`, p);
-                  this.pushEventTo(modalChrome, setterAction, { ...p, value: openValue }, cb);
+                  animationLog.debug(`pushEventTo ${setterAction}`, p);
+                  this.pushAction(setterAction, { ...p, value: openValue }, { target: modalChrome, onReply: cb });
                 });
               } else {
-                console.warn(`[LavashOptimistic] No animState found for ${config.field}`);
+                animationLog.warn(`No animState found for ${config.field}`);
               }
             };
 
             const closeHandler = () => {
-              console.debug(`[LavashOptimistic] close-panel event for ${config.field}`);
+              animationLog.debug(`close-panel event for ${config.field}`);
               const animState = this.animatedStates[config.field];
               if (animState) {
                 animState.syncedVar.set(null, (p, cb) => {
-                  this.pushEventTo(modalChrome, setterAction, { ...p, value: null }, cb);
+                  this.pushAction(setterAction, { ...p, value: null }, { target: modalChrome, onReply: cb });
                 });
               }
             };
@@ -240,10 +625,10 @@ const LavashOptimistic = {
             modalChrome.addEventListener("close-panel", closeHandler);
             this._modalEventListeners.push({ el: modalChrome, open: openHandler, close: closeHandler });
           } else {
-            console.warn(`[LavashOptimistic] Modal chrome element #${modalChromeId} not found for animated field ${config.field}`);
+            animationLog.warn(`Modal chrome element #${modalChromeId} not found for animated field ${config.field}`);
           }
         } else {
-          console.warn("[LavashOptimistic] OverlayAnimator not found in window.Lavash for type:modal field");
+          animationLog.warn("OverlayAnimator not found in window.Lavash for type:modal field");
         }
       } else if (config.type === "flyover") {
         // For flyover type, create OverlayAnimator targeting the flyover chrome element
@@ -264,7 +649,7 @@ const LavashOptimistic = {
               openField: config.field,
               js: this.js()
             });
-            console.debug(`[LavashOptimistic] Created OverlayAnimator (flyover) for ${config.field} on #${flyoverChromeId}`);
+            animationLog.debug(`Created OverlayAnimator (flyover) for ${config.field} on #${flyoverChromeId}`);
 
             // Register content element IDs for ghost detection in onBeforeElUpdated
             const mainContentId = `${flyoverChromeId}-main_content`;
@@ -277,24 +662,24 @@ const LavashOptimistic = {
 
             const openHandler = (e) => {
               const openValue = e.detail?.[config.field] ?? e.detail?.open ?? e.detail?.value ?? true;
-              console.log(`[LavashOptimistic] open-panel event for flyover ${config.field}:`, openValue);
+              animationLog.debug(`open-panel event for flyover ${config.field}:`, openValue);
               const animState = this.animatedStates[config.field];
               if (animState) {
                 animState.syncedVar.set(openValue, (p, cb) => {
-                  console.log(`[LavashOptimistic] pushEventTo ${setterAction}`, p);
-                  this.pushEventTo(flyoverChrome, setterAction, { ...p, value: openValue }, cb);
+                  animationLog.debug(`pushEventTo ${setterAction}`, p);
+                  this.pushAction(setterAction, { ...p, value: openValue }, { target: flyoverChrome, onReply: cb });
                 });
               } else {
-                console.warn(`[LavashOptimistic] No animState found for ${config.field}`);
+                animationLog.warn(`No animState found for ${config.field}`);
               }
             };
 
             const closeHandler = () => {
-              console.debug(`[LavashOptimistic] close-panel event for flyover ${config.field}`);
+              animationLog.debug(`close-panel event for flyover ${config.field}`);
               const animState = this.animatedStates[config.field];
               if (animState) {
                 animState.syncedVar.set(null, (p, cb) => {
-                  this.pushEventTo(flyoverChrome, setterAction, { ...p, value: null }, cb);
+                  this.pushAction(setterAction, { ...p, value: null }, { target: flyoverChrome, onReply: cb });
                 });
               }
             };
@@ -303,10 +688,10 @@ const LavashOptimistic = {
             flyoverChrome.addEventListener("close-panel", closeHandler);
             this._modalEventListeners.push({ el: flyoverChrome, open: openHandler, close: closeHandler });
           } else {
-            console.warn(`[LavashOptimistic] Flyover chrome element #${flyoverChromeId} not found for animated field ${config.field}`);
+            animationLog.warn(`Flyover chrome element #${flyoverChromeId} not found for animated field ${config.field}`);
           }
         } else {
-          console.warn("[LavashOptimistic] OverlayAnimator not found in window.Lavash for type:flyover field");
+          animationLog.warn("OverlayAnimator not found in window.Lavash for type:flyover field");
         }
       }
 
@@ -321,7 +706,7 @@ const LavashOptimistic = {
 
       this.animatedStates[config.field] = animated;
 
-      console.debug(`[LavashOptimistic] Initialized animated field: ${config.field}${delegate ? " with delegate" : ""}`);
+      animationLog.debug(`Initialized animated field: ${config.field}${delegate ? " with delegate" : ""}`);
     }
   },
 
@@ -354,20 +739,20 @@ const LavashOptimistic = {
     const boundInputs = this.el.querySelectorAll("[data-lavash-bind]");
     let initialized = false;
 
-    console.log(`[initFormParams] Found ${boundInputs.length} bound inputs`);
+    formsLog.debug(`initFormParams: Found ${boundInputs.length} bound inputs`);
 
     boundInputs.forEach(input => {
       const fieldPath = input.dataset.lavashBind;
 
       // Skip elements inside nested child hooks - they manage their own state
       if (this.isInsideChildHook(input)) {
-        console.log(`[initFormParams] Skipping (child hook): ${fieldPath}`);
+        formsLog.trace(`initFormParams: Skipping (child hook): ${fieldPath}`);
         return;
       }
 
       // Only handle form params paths (e.g., "address_form_params.country")
       if (!fieldPath || !fieldPath.includes("_params.")) {
-        console.log(`[initFormParams] Skipping (not params): ${fieldPath}`);
+        formsLog.trace(`initFormParams: Skipping (not params): ${fieldPath}`);
         return;
       }
 
@@ -378,9 +763,9 @@ const LavashOptimistic = {
       const field = fieldPath.substring(dotIndex + 1);        // e.g., "country"
 
       // Get current input value
-      const currentValue = input.value;
+      const currentValue = this.readInputValue(input);
 
-      console.log(`[initFormParams] ${fieldPath}: value="${currentValue}", existing=${this.state[paramsField]?.[field]}`);
+      formsLog.trace(`initFormParams: ${fieldPath}: value="${currentValue}", existing=${this.state[paramsField]?.[field]}`);
 
       // Only set if input has a non-empty value and state doesn't have it yet
       if (currentValue != null && currentValue !== "") {
@@ -388,14 +773,14 @@ const LavashOptimistic = {
         if (this.state[paramsField][field] === undefined) {
           this.state[paramsField][field] = currentValue;
           initialized = true;
-          console.log(`[initFormParams] Initialized ${paramsField}.${field} = "${currentValue}"`);
+          formsLog.debug(`initFormParams: Initialized ${paramsField}.${field} = "${currentValue}"`);
         }
       }
     });
 
     // If we initialized any params, recompute derives so validation reflects correct state
     if (initialized) {
-      console.log(`[initFormParams] Recomputing derives...`);
+      formsLog.debug(`initFormParams: Recomputing derives...`);
       this.recomputeDerives();
     }
   },
@@ -437,8 +822,11 @@ const LavashOptimistic = {
           // Input has pending changes - preserve the current value
           const pendingValue = hook.store.getValue(fieldPath);
           if (pendingValue !== undefined) {
-            toEl.value = pendingValue;
+            hook.writeInputValue(toEl, pendingValue);
           }
+        } else if (hook && (fromEl.hasAttribute("data-lavash-format") || fromEl.hasAttribute("data-lavash-type"))) {
+          // Server renders the parsed value - show it formatted
+          toEl.value = hook.displayValueFor(fromEl, toEl.value);
         }
 
       }
@@ -454,29 +842,43 @@ const LavashOptimistic = {
         if (fieldName && hook.hasPendingSources(fieldName)) {
           const enabled = hook.state[fieldName] === true;
           toEl.disabled = !enabled;
-          if (enabled) {
-            toEl.classList.remove('btn-disabled', 'opacity-60', 'cursor-not-allowed');
-          } else {
-            toEl.classList.add('opacity-60', 'cursor-not-allowed');
-          }
-          console.log(`[LavashOptimistic] onBeforeElUpdated: Applied client state for data-lavash-enabled="${fieldName}" (enabled=${enabled})`);
+          applyEnabledClasses(toEl, enabled);
+          log.trace(`onBeforeElUpdated: Applied client state for data-lavash-enabled="${fieldName}" (enabled=${enabled})`);
         }
 
         const visibleField = fromEl.getAttribute('data-lavash-visible');
         if (visibleField && hook.hasPendingSources(visibleField)) {
           const visible = hook.state[visibleField];
-          if (visible) {
-            toEl.classList.remove('hidden');
-          } else {
-            toEl.classList.add('hidden');
-          }
-          console.log(`[LavashOptimistic] onBeforeElUpdated: Applied client state for data-lavash-visible="${visibleField}" (visible=${visible})`);
+          setHidden(toEl, !visible);
+          log.trace(`onBeforeElUpdated: Applied client state for data-lavash-visible="${visibleField}" (visible=${visible})`);
         }
 
         const displayField = fromEl.getAttribute('data-lavash-display');
         if (displayField && hook.hasPendingSources(displayField)) {
           toEl.textContent = hook.state[displayField] ?? '';
-          console.log(`[LavashOptimistic] onBeforeElUpdated: Applied client state for data-lavash-display="${displayField}"`);
+          log.trace(`onBeforeElUpdated: Applied client state for data-lavash-display="${displayField}"`);
+        }
+
+        // Attribute and style bindings also cover plain state fields with unconfirmed changes
+        for (const [name, path] of parseBindingPairs(fromEl.getAttribute('data-lavash-attr'))) {
+          if (hook.hasStaleServerValue(path)) {
+            applyAttrBinding(toEl, name, hook.getStateAtPath(path));
+            log.trace(`onBeforeElUpdated: Applied client state for data-lavash-attr "${name}:${path}"`);
+          }
+        }
+
+        for (const [property, path] of parseBindingPairs(fromEl.getAttribute('data-lavash-style'))) {
+          if (hook.hasStaleServerValue(path)) {
+            applyStyleBinding(toEl, property, hook.getStateAtPath(path));
+            log.trace(`onBeforeElUpdated: Applied client state for data-lavash-style "${property}:${path}"`);
+          }
+        }
+
+        const eachField = fromEl.getAttribute('data-lavash-each');
+        if (eachField && hook.hasStaleServerValue(eachField)) {
+          // Keep the client-rendered list until the server confirms it
+          toEl.innerHTML = fromEl.innerHTML;
+          log.trace(`onBeforeElUpdated: Preserved client-rendered list for data-lavash-each="${eachField}"`);
         }
 
         const errorsField = fromEl.getAttribute('data-lavash-errors');
@@ -485,7 +887,7 @@ const LavashOptimistic = {
           // (errors have complex innerHTML with show_errors logic)
           toEl.innerHTML = fromEl.innerHTML;
           toEl.className = fromEl.className;
-          console.log(`[LavashOptimistic] onBeforeElUpdated: Preserved DOM for data-lavash-errors="${errorsField}" (stale)`);
+          formsLog.trace(`onBeforeElUpdated: Preserved DOM for data-lavash-errors="${errorsField}" (stale)`);
         }
       }
 
@@ -508,7 +910,7 @@ const LavashOptimistic = {
 
             if (fromHasInner && !toHasInner) {
               // Content is being removed! Create ghost NOW before morphdom patches
-              console.debug(`[LavashOptimistic] onBeforeElUpdated detected content removal for ${field}`);
+              animationLog.debug(`onBeforeElUpdated detected content removal for ${field}`);
               if (animated.delegate?.createGhostBeforePatch) {
                 animated.delegate.createGhostBeforePatch(fromHasInner);
               }
@@ -544,6 +946,8 @@ const LavashOptimistic = {
     this.deriveNames = fnObj.__derives__ || [];
     this.fieldNames = fnObj.__fields__ || [];
     this.graph = fnObj.__graph__ || {};
+    // Field -> Lavash.Type descriptor for URL encoding (see url_types.js)
+    this.urlTypes = fnObj.__url__ || {};
 
     // Execute any component-generated optimistic scripts (LiveView doesn't auto-execute inline scripts)
     this.executeComponentScripts();
@@ -560,7 +964,7 @@ const LavashOptimistic = {
         // Execute the script content (it's an IIFE that registers functions)
         new Function(script.textContent)();
       } catch (e) {
-        console.error(`[LavashOptimistic] Error executing component script ${script.id}:`, e);
+        log.error(`Error executing component script ${script.id}:`, e);
       }
     });
 
@@ -600,6 +1004,34 @@ const LavashOptimistic = {
   },
 
   handleClick(e) {
+    // Wizard step navigation
+    const stepTrigger = e.target.closest("[data-lavash-step-next], [data-lavash-step-prev], [data-lavash-step-to]");
+    if (stepTrigger && !this.isInsideChildHook(stepTrigger)) {
+      e.preventDefault();
+      this.handleStepTrigger(stepTrigger);
+      return;
+    }
+
+    // Form reset triggers (preventDefault also stops a type="reset" button's native reset)
+    const resetTrigger = e.target.closest("[data-lavash-reset]");
+    if (resetTrigger && !this.isInsideChildHook(resetTrigger)) {
+      e.preventDefault();
+      this.resetForm(resetTrigger.dataset.lavashReset);
+      return;
+    }
+
+    // Undo/redo triggers
+    const historyTrigger = e.target.closest("[data-lavash-undo], [data-lavash-redo]");
+    if (historyTrigger && !this.isInsideChildHook(historyTrigger)) {
+      e.preventDefault();
+      const isUndo = historyTrigger.hasAttribute("data-lavash-undo");
+      const explicitGroup = isUndo ? historyTrigger.dataset.lavashUndo : historyTrigger.dataset.lavashRedo;
+      // Unscoped triggers act on the most recent entry across all groups
+      const group = explicitGroup || this.historyGroupFor(historyTrigger);
+      isUndo ? this.undo(group) : this.redo(group);
+      return;
+    }
+
     const target = e.target.closest("[data-lavash-action]");
     if (!target) return;
 
@@ -607,12 +1039,14 @@ const LavashOptimistic = {
     const value = target.dataset.lavashValue;
 
     // Run optimistic action for instant UI update
-    this.runOptimisticAction(actionName, value);
+    const changedFields = this.runOptimisticAction(actionName, value, {
+      historyGroup: this.historyGroupFor(target) ?? DEFAULT_HISTORY_GROUP
+    });
 
-    // Push the action event to the server
+    // Push the action event to the server (queued while disconnected)
     // This ensures server-side action handlers run (e.g., for bound field updates)
     const payload = value !== undefined ? { value } : {};
-    this.pushEventTo(this.el, actionName, payload, () => {});
+    this.pushAction(actionName, payload, { fields: changedFields });
 
     // Clear LiveView's element lock so rapid clicks on the same element work.
     // LiveView sets data-phx-ref-src during click handling to prevent duplicate
@@ -653,7 +1087,7 @@ const LavashOptimistic = {
     // (Chrome fires blur events during arrow key navigation in open dropdowns)
     if (target.tagName === "SELECT") {
       const wasModified = this.store.isPending(fieldPath);
-      console.log(`[handleBlur] SELECT ${fieldPath}: wasModified=${wasModified}`);
+      formsLog.debug(`handleBlur: SELECT ${fieldPath}: wasModified=${wasModified}`);
       if (wasModified) {
         this.fieldState[fieldPath].touched = true;
       }
@@ -662,6 +1096,11 @@ const LavashOptimistic = {
       this.fieldState[fieldPath].touched = true;
     }
 
+    // Skipped by formatBoundInputs() while focused
+    if (target.hasAttribute("data-lavash-format") || target.hasAttribute("data-lavash-type")) {
+      this.formatBoundInput(target);
+    }
+
     // Get form/field from explicit attributes or derive from path
     const { formName, fieldName } = this.getFormField(target, fieldPath);
     if (!formName || !fieldName) return;
@@ -669,10 +1108,12 @@ const LavashOptimistic = {
     // Update show_errors state
     this.updateShowErrors(fieldPath, formName, fieldName);
 
-    // Trigger server validation if client validation passes
-    this.triggerServerValidation(fieldPath, formName, fieldName, /* immediate */ true, target);
+    // Trigger server validation if the field's strategy allows it and client validation passes
+    if (this.shouldValidate(target, fieldPath, formName, "blur")) {
+      this.triggerServerValidation(fieldPath, formName, fieldName, /* immediate */ true, target);
+    }
 
-    this.updateDOM();
+    this.updateDOM([`${formName}_${fieldName}_show_errors`]);
   },
 
   /**
@@ -713,6 +1154,14 @@ const LavashOptimistic = {
     // This prevents a child component's form submit from affecting parent forms
     if (!this.submittedForms) this.submittedForms = new Set();
 
+    // Submitting (e.g., Enter in a text field) before the last step of a wizard moves to the next step
+    const steps = form.closest("[data-lavash-steps]") || form.querySelector("[data-lavash-steps]");
+    if (steps && !this.isInsideChildHook(steps) && !this.isLastStep(steps)) {
+      e.preventDefault();
+      this.moveStep(steps, 1);
+      return;
+    }
+
     // Track both the form ID and the form name (derived from first input's params field)
     // This allows isFormSubmitted() to match either the ID or the logical form name
     const formId = form.id || "default";
@@ -749,35 +1198,254 @@ const LavashOptimistic = {
 
     this.updateDOM();
 
+    // Send debounced and not yet sent validations (blur/submit strategies) now
+    // so their results count for this submit
+    for (const { input, fieldPath, formName, fieldName } of inputElements) {
+      if (formName && fieldName && (this.validationTimers[fieldPath] || this.hasUnsentValidation(formName, fieldName))) {
+        this.triggerServerValidation(fieldPath, formName, fieldName, /* immediate */ true, input);
+      }
+    }
+
+    // Hold the submit while server validations are in flight; it resumes when they settle
+    const validating = inputElements.find(({ formName }) => formName && this.isFormValidating(formName));
+    if (validating) {
+      e.preventDefault();
+      this.pendingSubmits.set(validating.formName, form);
+      formsLog.debug(`Submit of ${validating.formName} waits for server validation`);
+      return;
+    }
+
     // Check if form is valid - if not, prevent submission and focus first invalid field
     for (const { input, formName, fieldName } of inputElements) {
-      if (!formName || !fieldName) continue;
+      if (this.isFieldInvalid(input, formName, fieldName)) {
+        // Prevent form submission
+        e.preventDefault();
 
-      // Use custom valid field if specified on input, otherwise standard naming
-      const customValidField = input.dataset?.lavashValid;
-      const validField = customValidField || `${formName}_${fieldName}_valid`;
-      const clientValid = this.state[validField] ?? true;
-      const errorsField = `${formName}_${fieldName}_errors`;
-      const errors = this.state[errorsField] || [];
+        // Show the wizard step holding the field
+        this.revealStepOf(input);
+
+        // Move focus to the error summary and announce it, so screen reader
+        // users learn what blocked the submit
+        const errorSummary = form.querySelector("[data-lavash-error-summary]") ||
+          this.el.querySelector(`[data-lavash-error-summary="${CSS.escape(formName)}"]`);
+        const summaryText = errorSummary?.textContent.replace(/\s+/g, " ").trim();
+        if (summaryText) {
+          if (!errorSummary.hasAttribute("tabindex")) {
+            errorSummary.setAttribute("tabindex", "-1");
+          }
+          errorSummary.focus({ preventScroll: true });
+          errorSummary.scrollIntoView({ behavior: "smooth", block: "nearest" });
+          announce(summaryText, { politeness: "assertive" });
+          return;
+        }
 
-      // Field is invalid if validation fails or has errors (client + server merged in derive)
-      if (!clientValid || errors.length > 0) {
-        // Focus this field and prevent form submission
-        e.preventDefault();
+        // No summary: focus the invalid field (its aria-describedby errors are read out)
         input.focus();
 
         // Scroll invalid field into view (center in viewport for visibility)
         input.scrollIntoView({ behavior: "smooth", block: "center" });
 
-        // Scroll error summary into view if present
-        const errorSummary = form.querySelector("[data-lavash-error-summary]");
-        if (errorSummary) {
-          errorSummary.scrollIntoView({ behavior: "smooth", block: "nearest" });
-        }
-
         return;
       }
     }
+
+    // The submit goes through - don't guard navigation triggered by its result
+    for (const { formName } of inputElements) {
+      if (formName) this.submittingForms.add(formName);
+    }
+    this.updateDirtyGuard();
+  },
+
+  /**
+   * Whether a bound form field blocks submitting: its client validation fails or
+   * it has errors (client + server merged in the _errors derive).
+   */
+  isFieldInvalid(input, formName, fieldName) {
+    if (!formName || !fieldName) return false;
+
+    // Use custom valid field if specified on input, otherwise standard naming
+    const validField = input.dataset?.lavashValid || `${formName}_${fieldName}_valid`;
+    const clientValid = this.state[validField] ?? true;
+    const errors = this.state[`${formName}_${fieldName}_errors`] || [];
+    return !clientValid || errors.length > 0;
+  },
+
+  // --- Multi-step forms ---
+
+  /**
+   * Step names of a data-lavash-steps container, in document order.
+   */
+  stepsOf(container) {
+    const steps = [];
+    for (const el of container.querySelectorAll("[data-lavash-step]")) {
+      if (el.closest("[data-lavash-steps]") !== container) continue;
+      if (!steps.includes(el.dataset.lavashStep)) steps.push(el.dataset.lavashStep);
+    }
+    return steps;
+  },
+
+  /**
+   * Current step of a container: its state field as a step name, or the first step.
+   */
+  currentStep(container) {
+    const steps = this.stepsOf(container);
+    const value = this.state[container.dataset.lavashSteps];
+    return value != null && steps.includes(String(value)) ? String(value) : steps[0];
+  },
+
+  isLastStep(container) {
+    const steps = this.stepsOf(container);
+    return steps.indexOf(this.currentStep(container)) >= steps.length - 1;
+  },
+
+  /**
+   * Bound inputs of one step of a container, with their form fields.
+   */
+  stepInputs(container, step) {
+    return [...container.querySelectorAll("[data-lavash-bind]")]
+      .filter(input =>
+        !this.isInsideChildHook(input) &&
+        input.closest("[data-lavash-steps]") === container &&
+        input.closest("[data-lavash-step]")?.dataset.lavashStep === step
+      )
+      .map(input => ({ input, fieldPath: input.dataset.lavashBind, ...this.getFormField(input, input.dataset.lavashBind) }));
+  },
+
+  // data-lavash-step-next / -prev / -to click
+  handleStepTrigger(trigger) {
+    const container = trigger.closest("[data-lavash-steps]");
+    if (!container) {
+      formsLog.warn("Step trigger outside a data-lavash-steps container", trigger);
+      return;
+    }
+
+    if (trigger.hasAttribute("data-lavash-step-to")) {
+      const steps = this.stepsOf(container);
+      const offset = steps.indexOf(trigger.dataset.lavashStepTo) - steps.indexOf(this.currentStep(container));
+      if (steps.includes(trigger.dataset.lavashStepTo)) this.moveStep(container, offset);
+    } else {
+      this.moveStep(container, trigger.hasAttribute("data-lavash-step-next") ? 1 : -1);
+    }
+  },
+
+  /**
+   * Move a wizard by offset steps. Moving forward first validates every step
+   * being left behind and stops at the first one with invalid fields. While a
+   * step's server validations are in flight the move waits for them
+   * (resumePendingSteps).
+   *
+   * @returns {boolean} Whether the step changed
+   */
+  moveStep(container, offset) {
+    this.pendingSteps.delete(container);
+
+    const steps = this.stepsOf(container);
+    const index = steps.indexOf(this.currentStep(container));
+    const target = index + offset;
+    if (offset === 0 || target < 0 || target >= steps.length) return false;
+
+    for (let i = index; i < target; i++) {
+      const valid = this.validateStep(container, steps[i]);
+      if (valid === null) {
+        this.pendingSteps.set(container, steps[target]);
+        formsLog.debug(`Moving to step ${steps[target]} waits for server validation`);
+      }
+      if (!valid) return false;
+    }
+
+    this.setStep(container, steps[target]);
+    return true;
+  },
+
+  /**
+   * Validate one step's fields: mark them touched so their errors show, send
+   * debounced server validations, and focus the first invalid field (switching
+   * to its step).
+   *
+   * @returns {boolean|null} Whether all fields of the step are valid, null while
+   *   server validations of its fields are in flight
+   */
+  validateStep(container, step) {
+    const entries = this.stepInputs(container, step);
+
+    for (const { fieldPath, formName, fieldName } of entries) {
+      this.fieldState[fieldPath] = { ...this.fieldState[fieldPath], touched: true };
+      if (formName && fieldName) this.updateShowErrors(fieldPath, formName, fieldName);
+    }
+    this.updateDOM();
+
+    for (const { input, fieldPath, formName, fieldName } of entries) {
+      if (formName && fieldName && (this.validationTimers[fieldPath] || this.hasUnsentValidation(formName, fieldName))) {
+        this.triggerServerValidation(fieldPath, formName, fieldName, /* immediate */ true, input);
+      }
+    }
+
+    if (this.isStepValidating(entries)) return null;
+
+    const invalid = entries.find(({ input, formName, fieldName }) => this.isFieldInvalid(input, formName, fieldName));
+    if (!invalid) return true;
+
+    if (this.currentStep(container) !== step) this.setStep(container, step);
+    formsLog.debug(`Step ${step} has invalid fields`);
+    invalid.input.focus();
+    invalid.input.scrollIntoView({ behavior: "smooth", block: "center" });
+    return false;
+  },
+
+  // Whether any of a step's fields (stepInputs entries) awaits a server validation reply
+  isStepValidating(entries) {
+    return entries.some(({ formName, fieldName }) =>
+      formName && fieldName && this.validationInFlight[`${formName}:${fieldName}`] !== undefined
+    );
+  },
+
+  /**
+   * Finish step changes held back by in-flight validations once the fields of
+   * the step being left settled. moveStep validates the step again.
+   */
+  resumePendingSteps() {
+    for (const [container, target] of [...this.pendingSteps]) {
+      if (this.isStepValidating(this.stepInputs(container, this.currentStep(container)))) continue;
+
+      this.pendingSteps.delete(container);
+      const steps = this.stepsOf(container);
+      if (container.isConnected && steps.includes(target)) {
+        formsLog.debug(`Resuming move to step ${target} after validation`);
+        this.moveStep(container, steps.indexOf(target) - steps.indexOf(this.currentStep(container)));
+      }
+    }
+  },
+
+  /**
+   * Optimistically switch a wizard to a step and push the step field's setter.
+   * Numeric step fields keep numbers (data-lavash-step="2" -> 2).
+   */
+  setStep(container, step) {
+    const field = container.dataset.lavashSteps;
+    const current = this.state[field];
+    const value = typeof current === "number" && step !== "" && !Number.isNaN(Number(step)) ? Number(step) : step;
+
+    // Seeded with the current step, so a rolled back push returns to it
+    const syncedVar = this.store.get(field, current, (newVal) => {
+      this.state[field] = newVal;
+    });
+    this.state[field] = value;
+    syncedVar.setOptimistic(value);
+    this.clientVersion++;
+
+    this.recomputeDerives([field]);
+    this.updateDOM([field]);
+    this.syncUrl();
+    this.pushAction(`set_${field}`, { value }, { fields: [field] });
+  },
+
+  // Show the wizard step containing an element, if it isn't the current one
+  revealStepOf(el) {
+    const section = el.closest("[data-lavash-step]");
+    const container = section?.closest("[data-lavash-steps]");
+    if (container && this.currentStep(container) !== section.dataset.lavashStep) {
+      this.setStep(container, section.dataset.lavashStep);
+    }
   },
 
   /**
@@ -791,7 +1459,7 @@ const LavashOptimistic = {
     const { field, value } = e.detail;
     if (!field) return;
 
-    console.log("[LavashOptimistic] handleLavashSet", field, "=", value);
+    log.debug("handleLavashSet", field, "=", value);
 
     // Check if this field has an animated state (modal/flyover)
     const animatedState = this.animatedStates?.[field];
@@ -807,7 +1475,7 @@ const LavashOptimistic = {
       // This triggers proper animations and server sync
       const setterAction = `set_${field}`;
       animatedState.syncedVar.set(animValue, (payload, callback) => {
-        this.pushEventTo(this.el, setterAction, { ...payload, value: animValue }, callback);
+        this.pushAction(setterAction, { ...payload, value: animValue }, { onReply: callback });
       });
       return;
     }
@@ -835,15 +1503,15 @@ const LavashOptimistic = {
       this.recomputeDerives([field]);
       this.updateDOM();
 
-      // Push to server
+      // Push to server (queued while disconnected)
       const setterAction = `set_${field}`;
-      this.pushEventTo(this.el, setterAction, { value }, () => {});
+      this.pushAction(setterAction, { value }, { fields: [field] });
       return;
     }
 
     // We don't own this field - let the event continue propagating
     // (another hook up the tree may own it)
-    console.log("[LavashOptimistic] Field", field, "not owned by this hook, letting event propagate");
+    log.debug("Field", field, "not owned by this hook, letting event propagate");
   },
 
   /**
@@ -879,23 +1547,185 @@ const LavashOptimistic = {
     }
 
     const sendValidation = () => {
+      delete this.validationTimers[fieldPath];
+
       // Send validation event to server
       // Server stores result in #{form}_server_errors state → re-render → data attr updates
       const params = this.state[`${formName}_params`] || {};
+      const seq = this.validationSeq[`${formName}:${fieldName}`] ?? 0;
+
+      this.validationInFlight[`${formName}:${fieldName}`] = seq;
+      this.validationSent[`${formName}:${fieldName}`] = seq;
+      this.updateDOM([this.setValidationStatus(formName, fieldName, "validating")]);
+
+      // A lost reply must not leave the field validating (and its form unsubmittable)
+      const timer = setTimeout(() => this.applyValidationReply(formName, fieldName, seq, null), this.replyTimeout());
+
       this.pushEvent(`validate_${formName}`, {
         field: fieldName,
-        value: params[fieldName]
+        value: toWire(inputEl?.dataset?.lavashType, params[fieldName]),
+        seq
+      }, (reply) => {
+        clearTimeout(timer);
+        this.applyValidationReply(formName, fieldName, seq, reply);
       });
     };
 
     if (immediate) {
       sendValidation();
     } else {
-      // Debounce for 500ms when typing
-      this.validationTimers[fieldPath] = setTimeout(sendValidation, 500);
+      // Debounce while typing (data-lavash-debounce, default 500ms)
+      const debounce = inputEl ? this.validationOptions(inputEl).debounce : DEFAULT_VALIDATION_DEBOUNCE;
+      this.validationTimers[fieldPath] = setTimeout(sendValidation, debounce);
+    }
+  },
+
+  /**
+   * Validation strategy and debounce for an input. Both are read from the input
+   * itself or the closest ancestor (usually the form) that sets them.
+   *
+   * @returns {{ strategy: "input"|"blur"|"submit", debounce: number }}
+   */
+  validationOptions(input) {
+    const strategy = input.closest("[data-lavash-validate]")?.dataset.lavashValidate;
+    const debounce = parseInt(input.closest("[data-lavash-debounce]")?.dataset.lavashDebounce ?? "", 10);
+
+    if (strategy && !VALIDATE_STRATEGIES.includes(strategy)) {
+      formsLog.warn(`Unknown data-lavash-validate "${strategy}", expected ${VALIDATE_STRATEGIES.join("|")}`);
+    }
+
+    return {
+      strategy: VALIDATE_STRATEGIES.includes(strategy) ? strategy : VALIDATE_STRATEGIES[0],
+      debounce: Number.isNaN(debounce) || debounce < 0 ? DEFAULT_VALIDATION_DEBOUNCE : debounce
+    };
+  },
+
+  /**
+   * Whether an input/blur event should trigger server validation for a field.
+   * - input: while typing once the field is touched or the form submitted, and on blur
+   * - blur: only when the field loses focus
+   * - submit: not before the form has been submitted, then on input and blur
+   *
+   * @param {string} trigger - "input" or "blur"
+   */
+  shouldValidate(input, fieldPath, formName, trigger) {
+    const submitted = this.isFormSubmitted(formName);
+
+    switch (this.validationOptions(input).strategy) {
+      case "blur":
+        return trigger === "blur";
+      case "submit":
+        return submitted;
+      default:
+        return trigger === "blur" || submitted || (this.fieldState[fieldPath]?.touched || false);
+    }
+  },
+
+  /**
+   * Apply a validate_<form> reply unless the field changed after the request was sent.
+   *
+   * @param {number} seq - Sequence number the request was sent with
+   * @param {Object|null} reply - { field, seq, errors } from the server, null on timeout
+   */
+  applyValidationReply(formName, fieldName, seq, reply) {
+    const key = `${formName}:${fieldName}`;
+    const changedFields = [];
+
+    // The field stays validating while a newer request is in flight
+    const settled = this.validationInFlight[key] === seq;
+    if (settled) {
+      delete this.validationInFlight[key];
+      changedFields.push(this.setValidationStatus(formName, fieldName, "idle"));
+    }
+
+    const latest = this.validationSeq[key] ?? 0;
+    if (!reply || !Array.isArray(reply.errors)) {
+      formsLog.warn(`No validation reply for ${key} (seq ${seq})`);
+      // Nothing newer was sent - let server patches decide again
+      if (this.validationSent[key] === seq) this.validationApplied[key] = seq;
+    } else if (seq !== latest) {
+      formsLog.debug(`Discarding stale validation reply for ${key}: seq ${seq}, latest ${latest}`);
+    } else {
+      this.validationApplied[key] = seq;
+
+      const serverErrorsField = `${formName}_server_errors`;
+      this.state[serverErrorsField] = { ...(this.state[serverErrorsField] || {}), [fieldName]: reply.errors };
+      this.recomputeDerives([serverErrorsField]);
+      changedFields.push(serverErrorsField);
+
+      if (settled) {
+        this.setValidationStatus(formName, fieldName, reply.errors.length > 0 ? "invalid" : "valid");
+      }
+    }
+
+    this.updateDOM(changedFields);
+    if (settled) {
+      this.resumePendingSubmit(formName);
+      this.resumePendingSteps();
+    }
+  },
+
+  /**
+   * Record a field's server validation status and mirror it to the
+   * {form}_{field}_validating state field.
+   *
+   * @param {"idle"|"validating"|"valid"|"invalid"} status
+   * @returns {string} The validating state field name
+   */
+  setValidationStatus(formName, fieldName, status) {
+    const validatingField = `${formName}_${fieldName}_validating`;
+    this.validationStatus[`${formName}:${fieldName}`] = status;
+    this.state[validatingField] = status === "validating";
+    return validatingField;
+  },
+
+  /**
+   * Server validation status of a field: "idle", "validating", "valid" or "invalid".
+   */
+  getValidationStatus(formName, fieldName) {
+    return this.validationStatus[`${formName}:${fieldName}`] || "idle";
+  },
+
+  // Whether any field of a form awaits a server validation reply
+  isFormValidating(formName) {
+    return Object.keys(this.validationInFlight).some(key => key.startsWith(`${formName}:`));
+  },
+
+  /**
+   * Re-submit a form whose submit was held back by in-flight validations once
+   * the last of them settled. handleFormSubmit checks validity again.
+   */
+  resumePendingSubmit(formName) {
+    const form = this.pendingSubmits.get(formName);
+    if (!form || this.isFormValidating(formName)) return;
+
+    this.pendingSubmits.delete(formName);
+    if (form.isConnected) {
+      formsLog.debug(`Resuming submit of ${formName} after validation`);
+      form.requestSubmit();
     }
   },
 
+  /**
+   * Whether a validation request was sent for the field and its reply hasn't
+   * been applied yet (in flight, or discarded for a newer edit), i.e. server
+   * errors rendered for it describe an older value. Edits that were never
+   * sent (blur/submit strategies) don't count.
+   */
+  isValidationStale(formName, fieldName) {
+    const key = `${formName}:${fieldName}`;
+    return (this.validationSent[key] ?? 0) > (this.validationApplied[key] ?? 0);
+  },
+
+  /**
+   * Whether the field was edited since its last validation request (e.g. a
+   * blur or submit strategy field that hasn't been validated yet).
+   */
+  hasUnsentValidation(formName, fieldName) {
+    const key = `${formName}:${fieldName}`;
+    return (this.validationSeq[key] ?? 0) > (this.validationSent[key] ?? 0);
+  },
+
   /**
    * Update *_show_errors state for a field based on touched/submitted status.
    *
@@ -916,7 +1746,7 @@ const LavashOptimistic = {
 
     // Log changes to show_errors state for debugging flickering
     if (oldValue !== showErrors) {
-      console.log(`[LavashOptimistic] ${showErrorsKey} changed: ${oldValue} → ${showErrors} (touched=${touched}, submitted=${formSubmitted})`);
+      formsLog.debug(`${showErrorsKey} changed: ${oldValue} → ${showErrors} (touched=${touched}, submitted=${formSubmitted})`);
     }
   },
 
@@ -937,10 +1767,272 @@ const LavashOptimistic = {
     return false;
   },
 
-  handleInput(e) {
-    const target = e.target.closest("[data-lavash-bind]");
-    if (!target) {
-      return;
+  /**
+   * Record the current value of every bound form field as its initial value, and
+   * the params of newly seen forms as their reset target.
+   * Fields already recorded keep their baseline unless they belong to resetForm.
+   *
+   * @param {string|null} resetForm - Form whose baseline is replaced (after a successful submit)
+   */
+  snapshotInitialValues(resetForm = null) {
+    for (const input of this.el.querySelectorAll("[data-lavash-bind]")) {
+      if (this.isInsideChildHook(input)) continue;
+      const fieldPath = input.dataset.lavashBind;
+      const { formName, fieldName } = this.getFormField(input, fieldPath);
+      if (!formName || !fieldName) continue;
+
+      if (!(fieldPath in this.initialValues) || formName === resetForm) {
+        this.initialValues[fieldPath] = dirtyComparable(this.getStateAtPath(fieldPath));
+      }
+
+      const paramsField = fieldPath.split(".")[0];
+      if (!(paramsField in this.initialParams)) {
+        this.initialParams[paramsField] = structuredClone(this.state[paramsField] ?? {});
+      }
+    }
+  },
+
+  /**
+   * Reset a form to the params captured when it first appeared: restores the
+   * inputs, clears touched/submitted state, server errors and pending
+   * validations, recomputes the validation derives and sends the params to the
+   * server (validate_{form} with the full params, like a form recovery).
+   *
+   * @param {string} formName - e.g., "registration"
+   */
+  resetForm(formName) {
+    const inputs = [...this.el.querySelectorAll("[data-lavash-bind]")].filter(input =>
+      !this.isInsideChildHook(input) &&
+      this.getFormField(input, input.dataset.lavashBind).formName === formName
+    );
+    if (inputs.length === 0) {
+      formsLog.warn(`Reset of ${formName}: no bound fields found`);
+      return;
+    }
+
+    // Seeded with the values being reset, so a rolled back validate_{form} restores them
+    const syncedVars = new Map(inputs.map(input => {
+      const fieldPath = input.dataset.lavashBind;
+      return [fieldPath, this.store.get(fieldPath, this.getStateAtPath(fieldPath))];
+    }));
+
+    const paramsFields = new Set(inputs.map(input => input.dataset.lavashBind.split(".")[0]));
+    for (const paramsField of paramsFields) {
+      this.state[paramsField] = structuredClone(this.initialParams[paramsField] ?? {});
+    }
+
+    for (const input of inputs) {
+      const fieldPath = input.dataset.lavashBind;
+      const { fieldName } = this.getFormField(input, fieldPath);
+      const value = this.getStateAtPath(fieldPath);
+
+      // Pending until the server has the restored params, so patches in between can't undo the reset
+      syncedVars.get(fieldPath).setOptimistic(value);
+      this.writeInputValue(input, value);
+
+      delete this.fieldState[fieldPath];
+      clearTimeout(this.validationTimers[fieldPath]);
+      delete this.validationTimers[fieldPath];
+
+      // Validation replies still in flight describe values that are gone
+      const key = `${formName}:${fieldName}`;
+      this.validationSeq[key] = (this.validationSeq[key] ?? 0) + 1;
+      this.validationSent[key] = this.validationSeq[key];
+      this.validationApplied[key] = this.validationSeq[key];
+      delete this.validationInFlight[key];
+      this.setValidationStatus(formName, fieldName, "idle");
+
+      const formEl = input.form ?? input.closest("form");
+      if (formEl) this.submittedForms.delete(formEl.id || "default");
+    }
+
+    this.submittedForms.delete(formName);
+    this.pendingSubmits.delete(formName);
+    this.submittingForms.delete(formName);
+    this.clientVersion++;
+
+    const serverErrorsField = `${formName}_server_errors`;
+    this.state[serverErrorsField] = {};
+
+    for (const input of inputs) {
+      const { fieldName } = this.getFormField(input, input.dataset.lavashBind);
+      this.updateShowErrors(input.dataset.lavashBind, formName, fieldName);
+    }
+
+    this.formatBoundInputs();
+    this.recomputeDerives([...paramsFields, serverErrorsField]);
+    this.updateDirtyState();
+    this.updateDOM();
+    this.syncUrl();
+
+    // The server takes the params as sent and clears its server errors
+    const params = { ...(this.state[`${formName}_params`] || {}) };
+    for (const input of inputs) {
+      const type = input.dataset.lavashType;
+      const key = this.getFormField(input, input.dataset.lavashBind).fieldName;
+      if (type && key in params) params[key] = toWire(type, params[key]);
+    }
+    this.pushAction(`validate_${formName}`, { [formName]: params }, { fields: [...paramsFields] });
+    formsLog.debug(`Reset ${formName}`);
+  },
+
+  /**
+   * Native form reset: let the browser restore its default values, then apply
+   * the Lavash reset on top.
+   */
+  handleFormReset(e) {
+    const form = e.target.closest("form");
+    const firstInput = form?.querySelector("[data-lavash-bind]");
+    if (!firstInput || this.isInsideChildHook(firstInput)) return;
+
+    const { formName } = this.getFormField(firstInput, firstInput.dataset.lavashBind);
+    if (formName) {
+      setTimeout(() => this.resetForm(formName), 0);
+    }
+  },
+
+  /**
+   * Compare bound form fields with their initial values and mirror the result to
+   * {form}_{field}_dirty / {form}_dirty state and data-lavash-dirty attributes
+   * on the inputs and their <form>.
+   *
+   * @param {HTMLElement|null} changedInput - Only re-check the inputs bound to this
+   *   input's path (and their form's flags) instead of every bound input, e.g. on a keystroke
+   * @returns {string[]} State fields whose dirty flag changed
+   */
+  updateDirtyState(changedInput = null) {
+    const changedFields = [];
+    const setFlag = (field, dirty) => {
+      if (this.state[field] !== dirty) {
+        this.state[field] = dirty;
+        changedFields.push(field);
+      }
+    };
+
+    // Dirty field paths per form name, kept between incremental updates
+    if (!changedInput) this.dirtyPaths = {};
+    const inputs = this.el.querySelectorAll(changedInput
+      ? `[data-lavash-bind="${CSS.escape(changedInput.dataset.lavashBind)}"]`
+      : "[data-lavash-bind]");
+
+    const forms = new Set();
+    const formElements = new Set();
+    for (const input of inputs) {
+      if (this.isInsideChildHook(input)) continue;
+      const fieldPath = input.dataset.lavashBind;
+      if (!(fieldPath in this.initialValues)) continue;
+      const { formName, fieldName } = this.getFormField(input, fieldPath);
+      if (!formName || !fieldName) continue;
+
+      const dirty = dirtyComparable(this.getStateAtPath(fieldPath)) !== this.initialValues[fieldPath];
+      input.toggleAttribute("data-lavash-dirty", dirty);
+      setFlag(`${formName}_${fieldName}_dirty`, dirty);
+
+      const paths = (this.dirtyPaths[formName] ??= new Set());
+      if (dirty) paths.add(fieldPath);
+      else paths.delete(fieldPath);
+      forms.add(formName);
+
+      const formEl = input.form ?? input.closest("form");
+      if (formEl) formElements.add(formEl);
+    }
+
+    for (const formName of forms) {
+      setFlag(`${formName}_dirty`, this.dirtyPaths[formName].size > 0);
+    }
+    for (const formEl of formElements) {
+      const dirty = [...formEl.querySelectorAll("[data-lavash-bind][data-lavash-dirty]")]
+        .some(input => !this.isInsideChildHook(input));
+      formEl.toggleAttribute("data-lavash-dirty", dirty);
+    }
+
+    this.updateDirtyGuard();
+    return changedFields;
+  },
+
+  /**
+   * Server reply to a submit action: reset the form's dirty tracking on success.
+   *
+   * @param {Object} result - { form, ok } pushed by the runtime's apply_submits
+   */
+  handleSubmitResult({ form, ok }) {
+    this.submittingForms.delete(form);
+    if (ok) {
+      formsLog.debug(`Submit of ${form} succeeded, resetting dirty state`);
+      this.snapshotInitialValues(form);
+    }
+    this.updateDOM(this.updateDirtyState());
+  },
+
+  /**
+   * Confirmation message when leaving would lose changes: the data-lavash-dirty-guard
+   * value of the first guard (hook root or element inside it) containing dirty
+   * fields of a form that isn't being submitted, otherwise null.
+   */
+  dirtyGuardMessage() {
+    const guards = [...this.el.querySelectorAll("[data-lavash-dirty-guard]")]
+      .filter(guard => !this.isInsideChildHook(guard));
+    if (this.el.hasAttribute("data-lavash-dirty-guard")) guards.unshift(this.el);
+
+    for (const guard of guards) {
+      const unsaved = [...guard.querySelectorAll("[data-lavash-bind][data-lavash-dirty]")].some(input => {
+        if (this.isInsideChildHook(input)) return false;
+        const { formName } = this.getFormField(input, input.dataset.lavashBind);
+        return !this.submittingForms.has(formName);
+      });
+      if (unsaved) return guard.dataset.lavashDirtyGuard || configuredText("dirtyGuard");
+    }
+    return null;
+  },
+
+  // Listen for navigation only while there is something to lose (a beforeunload
+  // listener keeps the page out of the back/forward cache)
+  updateDirtyGuard() {
+    const active = this.dirtyGuardMessage() !== null;
+    if (active === Boolean(this._dirtyGuardActive)) return;
+
+    this._dirtyGuardActive = active;
+    const method = active ? "addEventListener" : "removeEventListener";
+    window[method]("beforeunload", this._beforeUnloadHandler);
+    window[method]("click", this._guardedNavigationHandler, true);
+  },
+
+  handleBeforeUnload(e) {
+    if (this.dirtyGuardMessage() === null) return;
+    // Browsers show their own text for beforeunload
+    e.preventDefault();
+    e.returnValue = "";
+  },
+
+  /**
+   * Confirm live_patch/live_redirect link clicks while a guarded form is dirty.
+   * Runs in the capture phase on window, before LiveView's own click handler.
+   *
+   * Server-side push_patch/push_navigate and back/forward (popstate) can't be
+   * cancelled from here and aren't guarded.
+   */
+  handleGuardedNavigation(e) {
+    const link = e.target.closest?.("a[data-phx-link]");
+    if (!link || e.defaultPrevented || e._lavashNavigationConfirmed) return;
+    // Links opened elsewhere leave this page alone
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || link.target === "_blank") return;
+
+    const message = this.dirtyGuardMessage();
+    if (message === null) return;
+
+    if (window.confirm(message)) {
+      // Other hooks on the page don't ask again
+      e._lavashNavigationConfirmed = true;
+    } else {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  },
+
+  handleInput(e) {
+    const target = e.target.closest("[data-lavash-bind]");
+    if (!target) {
+      return;
     }
 
     // Each element type should only process one event type to avoid double handling:
@@ -957,28 +2049,31 @@ const LavashOptimistic = {
     }
 
     const fieldPath = target.dataset.lavashBind;
-    // For form inputs, keep as string to match Elixir params behavior
-    let value = target.value;
+    // Type-aware read (checkbox, radio, select multiple); form params stay strings
+    let value = this.readInputValue(target);
 
-    // Apply input formatting if specified
+    // Apply input formatting if specified (state gets the parsed value, the input the display)
     const format = target.dataset.lavashFormat;
     if (format) {
-      const formatted = this.formatInputValue(value, format);
+      const formatted = this.formatInputValue(value, format, target);
       if (formatted !== null) {
         value = formatted.value;
-        // Update the input's displayed value with formatting
+        // Update the input's displayed value, keeping the caret next to the same character
         if (formatted.display !== target.value) {
-          const cursorPos = target.selectionStart;
-          const oldLen = target.value.length;
           target.value = formatted.display;
-          // Adjust cursor position based on added/removed characters
-          const newLen = formatted.display.length;
-          const newPos = Math.min(cursorPos + (newLen - oldLen), newLen);
-          target.setSelectionRange(newPos, newPos);
+          if (formatted.caret !== null) {
+            target.setSelectionRange(formatted.caret, formatted.caret);
+          }
         }
       }
     }
 
+    // Coerce to a typed value (formatted values are already canonical)
+    const type = target.dataset.lavashType;
+    if (type) {
+      value = format ? fromWire(type, value) : parseTyped(type, value, resolveLocale(target), target.type);
+    }
+
     // Get or create a SyncedVar for this path (for version/pending tracking)
     // Use undefined as initial value - will be set properly on first setOptimistic
     const syncedVar = this.store.get(fieldPath);
@@ -995,37 +2090,49 @@ const LavashOptimistic = {
     // Optimistically clear server errors for this field
     // This prevents stale server errors from displaying while user is editing
     const { formName, fieldName } = this.getFormField(target, fieldPath);
+
+    // Determine root field for derive recomputation
+    const dotIndex = fieldPath.indexOf(".");
+    const rootField = dotIndex > 0 ? fieldPath.substring(0, dotIndex) : fieldPath;
+    const changedFields = [rootField];
+
     if (formName && fieldName) {
+      // Edits after a submit are unsaved again
+      this.submittingForms.delete(formName);
+
+      // Any validation reply still in flight now describes an older value
+      const seqKey = `${formName}:${fieldName}`;
+      this.validationSeq[seqKey] = (this.validationSeq[seqKey] ?? 0) + 1;
+      if (this.getValidationStatus(formName, fieldName) !== "validating") {
+        this.validationStatus[seqKey] = "idle";
+      }
+
       // Clear the server error for this field immediately
       const serverErrorsField = `${formName}_server_errors`;
       const currentServerErrors = this.state[serverErrorsField] || {};
       const updatedServerErrors = { ...currentServerErrors, [fieldName]: [] };
       this.state[serverErrorsField] = updatedServerErrors;
+      changedFields.push(serverErrorsField);
     }
 
-    // Determine root field for derive recomputation
-    const dotIndex = fieldPath.indexOf(".");
-    const rootField = dotIndex > 0 ? fieldPath.substring(0, dotIndex) : fieldPath;
-
     // Recompute derives affected by the root field
     this.recomputeDerives([rootField]);
+    changedFields.push(...this.updateDirtyState(target));
 
     // For selects, defer DOM update to blur - Chrome fires change events during
     // arrow key navigation in open dropdowns, which causes flickering errors.
     // State and derives are updated, but visual error display waits for blur.
     if (target.tagName !== "SELECT") {
-      this.updateDOM();
+      this.updateDOM(changedFields);
     }
 
     // Sync URL fields immediately (optimistic URL update)
     this.syncUrl();
 
-    // Schedule debounced server validation (if field is touched or form submitted)
+    // Schedule debounced server validation (per data-lavash-validate strategy)
     // formName and fieldName already extracted above
     if (formName && fieldName) {
-      // Only trigger server validation if field is already touched or form was submitted
-      const touched = this.fieldState[fieldPath]?.touched || false;
-      if (touched || this.isFormSubmitted(formName)) {
+      if (this.shouldValidate(target, fieldPath, formName, "input")) {
         this.triggerServerValidation(fieldPath, formName, fieldName, /* immediate */ false, target);
       }
     }
@@ -1066,7 +2173,16 @@ const LavashOptimistic = {
     return current;
   },
 
-  runOptimisticAction(actionName, value) {
+  /**
+   * Run the client-side function for an action and apply its delta.
+   *
+   * @param {string} actionName - Action name
+   * @param {any} value - Action value (data-lavash-value)
+   * @param {Object} options
+   * @param {string} options.historyGroup - Undo history group to record the delta in
+   * @returns {Array<string>} Changed top-level fields
+   */
+  runOptimisticAction(actionName, value, { historyGroup = DEFAULT_HISTORY_GROUP } = {}) {
     // First check cached functions, then check module registry (for dynamically added component functions)
     let fn = this.fns[actionName];
 
@@ -1091,23 +2207,28 @@ const LavashOptimistic = {
       }
     }
 
-    if (!fn) return;
+    if (!fn) return [];
 
     // Bump client version - this will be compared against server version to detect stale patches
     this.clientVersion++;
 
     // Run the client-side function to get state delta
+    const changedFields = [];
     try {
       const delta = fn(this.state, value);
 
       // Apply delta to state and track in SyncedVarStore
-      const changedFields = [];
+      const changes = {};
       for (const [key, val] of Object.entries(delta)) {
-        this.state[key] = val;
-        // Create/update SyncedVar for this field
-        const syncedVar = this.store.get(key, val, (newVal) => {
+        if (this.state[key] !== val) {
+          changes[key] = { before: this.state[key], after: val };
+        }
+        // Create/update SyncedVar for this field, seeded with the pre-delta value
+        // so the change is tracked as pending and can be rolled back
+        const syncedVar = this.store.get(key, this.state[key], (newVal) => {
           this.state[key] = newVal;
         });
+        this.state[key] = val;
         syncedVar.setOptimistic(val);
         changedFields.push(key);
       }
@@ -1122,15 +2243,424 @@ const LavashOptimistic = {
       // Recompute derives affected by the changed fields
       this.recomputeDerives(changedFields);
 
+      this.history.record(historyGroup, {
+        action: actionName,
+        changes,
+        versions: this.store.versionsOf(Object.keys(changes))
+      });
+      this.updateHistoryState();
+
       // Update the DOM immediately
-      this.updateDOM();
+      this.updateDOM([...changedFields, "lavash_can_undo", "lavash_can_redo"]);
 
       // Sync URL fields immediately (optimistic URL update)
       this.syncUrl();
 
+      return changedFields;
     } catch (err) {
-      // Silently ignore client-side errors - server will be source of truth
+      // Undo any partially applied delta - server will be source of truth
+      log.warn(`Optimistic action ${actionName} failed:`, err);
+      if (changedFields.length > 0) {
+        this.rollbackAction(actionName, this.store.versionsOf(changedFields), "client_error");
+      }
+      return [];
+    }
+  },
+
+  /**
+   * Resolve the undo history group for an element: the closest
+   * data-lavash-history value, else the closest form's id, else null (unscoped).
+   */
+  historyGroupFor(el) {
+    const scoped = el.closest("[data-lavash-history]");
+    if (scoped && scoped.dataset.lavashHistory) return scoped.dataset.lavashHistory;
+    const form = el.closest("form");
+    if (form && form.id) return form.id;
+    return null;
+  },
+
+  /**
+   * Revert the latest recorded action in a group.
+   * Pass null to undo the most recent action across all groups.
+   * @returns {boolean} Whether anything was undone
+   */
+  undo(group = null) {
+    const entry = this.history.undo(group);
+    if (!entry) return false;
+    this.applyHistoryEntry(entry, "before");
+    return true;
+  },
+
+  /**
+   * Re-apply the latest undone action in a group (or across all groups).
+   * @returns {boolean} Whether anything was redone
+   */
+  redo(group = null) {
+    const entry = this.history.redo(group);
+    if (!entry) return false;
+    this.applyHistoryEntry(entry, "after");
+    return true;
+  },
+
+  /**
+   * Apply one side of a history entry optimistically and push the matching
+   * set_<field> events so the server follows (with normal version tracking).
+   */
+  applyHistoryEntry(entry, side) {
+    const changedFields = [];
+
+    for (const [field, change] of Object.entries(entry.changes)) {
+      const value = change[side];
+      const syncedVar = this.store.get(field, this.state[field], (newVal) => {
+        this.state[field] = newVal;
+      });
+      this.state[field] = value;
+      syncedVar.setOptimistic(value);
+      changedFields.push(field);
     }
+
+    this.clientVersion++;
+
+    this.notifyAnimatedStates(changedFields);
+    this.propagateBoundFieldsToParent(changedFields);
+    this.recomputeDerives(changedFields);
+    this.updateHistoryState();
+    this.updateDOM([...changedFields, "lavash_can_undo", "lavash_can_redo"]);
+    this.syncUrl();
+
+    for (const field of changedFields) {
+      this.pushAction(`set_${field}`, { value: this.state[field] }, { fields: [field] });
+    }
+  },
+
+  /**
+   * Expose undo/redo availability as client state (lavash_can_undo / lavash_can_redo).
+   */
+  updateHistoryState() {
+    this.state.lavash_can_undo = this.history.canUndo();
+    this.state.lavash_can_redo = this.history.canRedo();
+  },
+
+  /**
+   * Keyboard shortcuts (opt-in via data-lavash-history-keys on the hook root):
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo.
+   * Text fields keep their native undo.
+   */
+  handleHistoryKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const target = e.target;
+    if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    const group = this.historyGroupFor(target);
+    let handled = false;
+
+    if (key === "z" && !e.shiftKey) {
+      handled = this.undo(group);
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      handled = this.redo(group);
+    }
+
+    if (handled) e.preventDefault();
+  },
+
+  /**
+   * Whether the LiveSocket is currently connected.
+   */
+  isSocketConnected() {
+    return this.liveSocket?.isConnected?.() ?? true;
+  },
+
+  /**
+   * Push an event to the server, or queue it while the socket is disconnected.
+   *
+   * The SyncedVars for `fields` stay pending until the server replies, so
+   * stale patches can't overwrite them - including while the event sits in
+   * the offline queue waiting for replayQueue().
+   *
+   * @param {string} event - Server event name
+   * @param {Object} payload - Event params
+   * @param {Object} options
+   * @param {Array<string>} options.fields - State fields changed by this event
+   * @param {HTMLElement} options.target - Element to push to (default: hook root)
+   * @param {Function} options.onReply - Called with the server reply
+   */
+  pushAction(event, payload = {}, { fields = [], target = this.el, onReply = null } = {}) {
+    const versions = this.store.versionsOf(fields);
+
+    if (!this.isSocketConnected()) {
+      this.actionQueue.enqueue({
+        event,
+        payload,
+        clientVersion: this.clientVersion,
+        targetId: target === this.el ? null : target.id,
+        versions,
+        onReply
+      });
+      log.debug(`Offline - queued ${event} (${this.actionQueue.size} unsaved)`);
+      this.updateQueueState();
+      this.updateDOM();
+      return;
+    }
+
+    this.sendAction(target, event, payload, versions, onReply);
+  },
+
+  /**
+   * Push an event and settle its optimistic delta when the server answers.
+   *
+   * A reply carrying an `error` key (e.g. `{:reply, %{error: "rejected"}, socket}`),
+   * or no reply within the timeout, rolls the delta back. Any other reply
+   * acknowledges it.
+   *
+   * A disconnect ends the wait too (see abandonSends): queued entries stay
+   * queued for the replay on reconnect, other sends are rolled back.
+   *
+   * @param {Function} onReply - Called with a successful reply
+   * @param {Function} onSettled - Called once on any outcome (ack, error or timeout)
+   */
+  sendAction(target, event, payload, versions, onReply = null, onSettled = null) {
+    this.inFlightActions[event] = (this.inFlightActions[event] || 0) + 1;
+
+    const send = { event, versions, queued: onSettled !== null, settled: false, timer: null };
+    this.inFlightSends.add(send);
+
+    // Runs once, whichever outcome comes first
+    send.settle = ({ dequeue = true } = {}) => {
+      if (send.settled) return;
+      send.settled = true;
+      clearTimeout(send.timer);
+      this.inFlightSends.delete(send);
+
+      this.inFlightActions[event] -= 1;
+      if (this.inFlightActions[event] <= 0) {
+        delete this.inFlightActions[event];
+      }
+      if (dequeue) onSettled?.();
+      this.updatePendingIndicators();
+    };
+
+    send.timer = setTimeout(() => {
+      this.rollbackAction(event, versions, "timeout");
+      send.settle();
+    }, this.replyTimeout());
+
+    this.pushEventTo(target, event, payload, (reply) => {
+      // Already rolled back or abandoned - the next server patch brings the real value
+      if (send.settled) return;
+
+      if (reply?.error) {
+        this.rollbackAction(event, versions, reply.error);
+      } else {
+        this.store.acknowledge(versions);
+        this.postToTabs(Object.keys(versions));
+        onReply?.(reply);
+      }
+      send.settle();
+    });
+
+    this.updatePendingIndicators();
+  },
+
+  /**
+   * Whether an action is in flight or waiting in the offline queue.
+   */
+  isActionPending(actionName) {
+    return (this.inFlightActions?.[actionName] || 0) > 0 ||
+      (this.actionQueue?.entries.some(e => e.event === actionName) ?? false);
+  },
+
+  /**
+   * Whether a state field (or any nested path under it) is unconfirmed.
+   */
+  isFieldPending(field) {
+    return this.store.getPendingPaths().some(p => p === field || p.startsWith(field + "."));
+  },
+
+  /**
+   * Reflect pending fields/actions on elements with data-lavash-pending or
+   * data-lavash-pending-action: sets aria-busy and toggles the classes in
+   * data-lavash-pending-class (default "lavash-pending").
+   *
+   * Dispatches a bubbling `lavash:pending-change` event with
+   * { fields, actions } whenever the pending set changes.
+   */
+  updatePendingIndicators() {
+    if (!this.store) return;
+
+    const applyPending = (el, pending) => {
+      const classes = (el.dataset.lavashPendingClass || "lavash-pending").split(/\s+/).filter(c => c);
+      if (pending) {
+        el.setAttribute("aria-busy", "true");
+        el.classList.add(...classes);
+      } else {
+        el.removeAttribute("aria-busy");
+        el.classList.remove(...classes);
+      }
+    };
+
+    const fields = this.store.getPendingPaths().sort();
+    const queuedActions = (this.actionQueue?.entries || []).map(e => e.event);
+    const actions = [...new Set([...Object.keys(this.inFlightActions || {}), ...queuedActions])].sort();
+
+    const index = this.getDomIndex();
+    for (const el of index.byAttr["data-lavash-pending"]) {
+      if (!el.isConnected) continue;
+      const field = el.dataset.lavashPending;
+      applyPending(el, fields.some(p => p === field || p.startsWith(field + ".")));
+    }
+    for (const el of index.byAttr["data-lavash-pending-action"]) {
+      if (!el.isConnected) continue;
+      applyPending(el, actions.includes(el.dataset.lavashPendingAction));
+    }
+
+    const signature = JSON.stringify([fields, actions]);
+
+    if (signature !== this._pendingSignature) {
+      this._pendingSignature = signature;
+      this.el.dispatchEvent(new CustomEvent("lavash:pending-change", {
+        bubbles: true,
+        detail: { fields, actions }
+      }));
+    }
+  },
+
+  /**
+   * Reply timeout in ms before an unacknowledged action is rolled back.
+   * Configurable via data-lavash-reply-timeout on the hook root.
+   */
+  replyTimeout() {
+    const configured = parseInt(this.el.dataset.lavashReplyTimeout || "", 10);
+    return Number.isNaN(configured) ? DEFAULT_REPLY_TIMEOUT : configured;
+  },
+
+  /**
+   * Restore fields touched by an action to their last confirmed values.
+   *
+   * Paths that were modified again after the action ran are left alone -
+   * the newer operation supersedes this one. Dispatches a bubbling
+   * `lavash:rollback` event with { action, reason, fields }.
+   *
+   * @param {string} action - Action/event name
+   * @param {Object} versions - path -> version snapshot from store.versionsOf()
+   * @param {string} reason - "timeout", "disconnected", "client_error" or the server's error
+   */
+  rollbackAction(action, versions, reason) {
+    const rolledBack = [];
+
+    for (const [path, version] of Object.entries(versions)) {
+      const syncedVar = this.store.vars[path];
+      if (!syncedVar || syncedVar.version !== version) continue;
+
+      syncedVar.rollback();
+      this.setStateAtPath(path, syncedVar.value);
+
+      const rootField = path.split(".")[0];
+      if (!rolledBack.includes(rootField)) {
+        rolledBack.push(rootField);
+      }
+    }
+
+    log.warn(`Rolled back ${action} (${reason}):`, rolledBack);
+
+    // The server never applied it, so there is nothing to undo
+    const historyChanged = this.history.discard(versions);
+    if (historyChanged) {
+      this.updateHistoryState();
+    }
+
+    if (rolledBack.length > 0) {
+      this.notifyAnimatedStates(rolledBack);
+      this.propagateBoundFieldsToParent(rolledBack);
+      this.recomputeDerives(rolledBack);
+      this.updateDOM();
+      this.syncUrl();
+    } else if (historyChanged) {
+      this.updateDOM(["lavash_can_undo", "lavash_can_redo"]);
+    }
+
+    this.el.dispatchEvent(new CustomEvent("lavash:rollback", {
+      bubbles: true,
+      detail: { action, reason, fields: rolledBack }
+    }));
+  },
+
+  /**
+   * Replay queued events in order. Each entry leaves the queue (and its
+   * SyncedVars become confirmed) only when the server acknowledges it.
+   */
+  replayQueue() {
+    for (const entry of this.actionQueue.toArray()) {
+      if (this._replayingSeqs.has(entry.seq)) continue;
+      this._replayingSeqs.add(entry.seq);
+
+      const target = (entry.targetId && document.getElementById(entry.targetId)) || this.el;
+      log.debug(`Replaying queued ${entry.event} (clientVersion=${entry.clientVersion})`);
+
+      // The entry leaves the queue on any outcome: ack, error reply or timeout
+      this.sendAction(target, entry.event, entry.payload, entry.versions, entry.onReply, () => {
+        this._replayingSeqs.delete(entry.seq);
+        this.actionQueue.remove(entry.seq);
+        this.updateQueueState();
+        this.updateDOM();
+      });
+    }
+  },
+
+  /**
+   * Expose queue/connection status as client state for templates.
+   */
+  updateQueueState() {
+    const count = this.actionQueue.size;
+    this.state.lavash_unsaved_count = count;
+    this.state.lavash_has_unsaved = count > 0;
+    this.state.lavash_offline = !this.isSocketConnected();
+  },
+
+  /**
+   * LiveView callback: socket dropped.
+   */
+  disconnected() {
+    // In-flight replays will never be acknowledged - resend them on reconnect
+    this._replayingSeqs?.clear();
+    this.abandonSends();
+
+    // Nor will validation replies - the fields go back to idle
+    for (const [key, seq] of Object.entries(this.validationInFlight)) {
+      const [formName, fieldName] = key.split(":");
+      this.setValidationStatus(formName, fieldName, "idle");
+      this.validationApplied[key] = seq;
+    }
+    this.validationInFlight = {};
+    this.pendingSubmits.clear();
+    this.pendingSteps.clear();
+    this.updateQueueState();
+    this.updateDOM();
+  },
+
+  /**
+   * Stop waiting for replies that a dropped socket will never deliver. Queued
+   * entries stay in the queue for replayQueue(); other sends are rolled back
+   * (the rejoin render brings the server's values).
+   */
+  abandonSends() {
+    for (const send of [...(this.inFlightSends || [])]) {
+      if (send.queued) {
+        send.settle({ dequeue: false });
+      } else {
+        this.rollbackAction(send.event, send.versions, "disconnected");
+        send.settle();
+      }
+    }
+  },
+
+  /**
+   * LiveView callback: view rejoined after a disconnect.
+   */
+  reconnected() {
+    this.replayQueue();
+    this.updateQueueState();
+    this.updateDOM();
   },
 
   /**
@@ -1221,17 +2751,14 @@ const LavashOptimistic = {
           this.state[name] = result;
 
           // Log error field and validity changes for debugging
-          if (name.endsWith("_errors") && JSON.stringify(oldValue) !== JSON.stringify(result)) {
-            console.log(`[LavashOptimistic] Derive ${name} changed: ${JSON.stringify(oldValue)} → ${JSON.stringify(result)}`);
+          if (name.endsWith("_errors") && formsLog.enabled("debug") && JSON.stringify(oldValue) !== JSON.stringify(result)) {
+            formsLog.debug(`Derive ${name} changed: ${JSON.stringify(oldValue)} → ${JSON.stringify(result)}`);
           }
           if (name.endsWith("_valid") && oldValue !== result) {
-            console.log(`[LavashOptimistic] Derive ${name} changed: ${oldValue} → ${result}`);
+            formsLog.debug(`Derive ${name} changed: ${oldValue} → ${result}`);
           }
         } catch (err) {
-          // Log error in development for debugging
-          if (typeof console !== "undefined" && console.debug) {
-            console.debug(`[Lavash] Error computing derive ${name}:`, err.message);
-          }
+          log.debug(`Error computing derive ${name}:`, err.message);
         }
       }
     }
@@ -1286,325 +2813,607 @@ const LavashOptimistic = {
         }
       }
 
-      visiting.delete(name);
-      visited.add(name);
-      result.push(name);
-    };
+      visiting.delete(name);
+      visited.add(name);
+      result.push(name);
+    };
+
+    for (const name of deriveNames) {
+      visit(name);
+    }
+
+    return result;
+  },
+
+  // Check if element is inside a nested child hook (e.g., ClientComponent)
+  // We should not manipulate elements inside child hooks - they manage their own state
+  isInsideChildHook(el) {
+    let parent = el.parentElement;
+    while (parent && parent !== this.el) {
+      if (parent.hasAttribute("phx-hook") && parent !== this.el) {
+        return true;
+      }
+      parent = parent.parentElement;
+    }
+    return false;
+  },
+
+  /**
+   * Index of elements with data-lavash-* bindings, built lazily and dropped
+   * whenever a patch or mutation may have added, removed or re-pointed one.
+   *
+   * Shape:
+   *   {
+   *     byAttr: { "data-lavash-display": [el, ...], ... },       // all bound elements (and pending indicators)
+   *     byField: Map { "count" => Map { "data-lavash-display" => Set[el] } },
+   *     childHooks: [el, ...]                                      // nested phx-hook elements
+   *   }
+   *
+   * Elements inside nested child hooks are excluded - they manage their own state.
+   */
+  getDomIndex() {
+    if (this._domIndex) return this._domIndex;
+
+    const index = { byAttr: {}, byField: new Map(), childHooks: [] };
+    for (const attr of [...DOM_BINDINGS.map(b => b.attr), ...PENDING_ATTRIBUTES]) {
+      index.byAttr[attr] = [];
+    }
+
+    for (const el of this.el.querySelectorAll(DOM_INDEX_SELECTOR)) {
+      if (el.hasAttribute("phx-hook")) {
+        index.childHooks.push(el);
+      }
+      if (this.isInsideChildHook(el)) continue;
+
+      for (const attr of PENDING_ATTRIBUTES) {
+        if (el.hasAttribute(attr)) index.byAttr[attr].push(el);
+      }
+
+      for (const binding of DOM_BINDINGS) {
+        if (!el.hasAttribute(binding.attr)) continue;
+
+        index.byAttr[binding.attr].push(el);
+        for (const field of binding.fields.call(this, el)) {
+          if (!field) continue;
+          if (!index.byField.has(field)) index.byField.set(field, new Map());
+          const byAttr = index.byField.get(field);
+          if (!byAttr.has(binding.attr)) byAttr.set(binding.attr, new Set());
+          byAttr.get(binding.attr).add(el);
+        }
+      }
+    }
+
+    this._domIndex = index;
+    return index;
+  },
+
+  invalidateDomIndex() {
+    this._domIndex = null;
+  },
+
+  /**
+   * Drop the DOM index when bound elements are added/removed outside of a
+   * LiveView patch (e.g., JS commands, client-rendered content).
+   */
+  observeDomIndex() {
+    this._domIndexObserver = new MutationObserver((mutations) => {
+      if (this._domIndex && mutations.some(m => this.affectsDomIndex(m))) {
+        this.invalidateDomIndex();
+      }
+    });
+    this._domIndexObserver.observe(this.el, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: DOM_INDEX_ATTRIBUTES
+    });
+  },
+
+  affectsDomIndex(mutation) {
+    if (mutation.type === "attributes") return true;
+
+    // Ignore content updateDOM renders itself (error lists, text nodes)
+    const touchesBinding = (node) =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(DOM_INDEX_SELECTOR) || node.querySelector(DOM_INDEX_SELECTOR) !== null);
+
+    return [...mutation.addedNodes].some(touchesBinding) ||
+      [...mutation.removedNodes].some(touchesBinding);
+  },
+
+  /**
+   * Expand changed fields to everything the DOM may read from them:
+   * root fields of dotted paths plus (transitively) dependent derives.
+   * Returns null when dependencies are unknown (no derive graph) - update everything.
+   */
+  expandChangedFields(changedFields) {
+    if (Object.keys(this.graph).length === 0 && this.deriveNames.length > 0) {
+      return null;
+    }
+
+    const roots = changedFields.map(f => f.split(".")[0]);
+    return new Set([...changedFields, ...roots, ...this.findAffectedDerives(roots)]);
+  },
+
+  /**
+   * Apply client state to data-lavash-* bound elements.
+   *
+   * @param {Array<string>|null} changedFields - Only update elements bound to these
+   *   fields (or derives depending on them). null updates every bound element.
+   */
+  updateDOM(changedFields = null) {
+    log.trace(`updateDOM(${changedFields ? changedFields.join(", ") : ""}) called`);
+
+    const index = this.getDomIndex();
+    const fields = changedFields ? this.expandChangedFields(changedFields) : null;
+
+    for (const binding of DOM_BINDINGS) {
+      let elements;
+      if (fields) {
+        elements = new Set();
+        for (const field of fields) {
+          const bound = index.byField.get(field)?.get(binding.attr);
+          if (bound) bound.forEach(el => elements.add(el));
+        }
+      } else {
+        elements = index.byAttr[binding.attr];
+      }
+
+      for (const el of elements) {
+        // Removed by a patch the index hasn't caught up with yet
+        if (!el.isConnected) continue;
+        this[binding.update](el);
+      }
+    }
+
+    // Reflect unconfirmed fields/actions (data-lavash-pending*)
+    this.updatePendingIndicators();
 
-    for (const name of deriveNames) {
-      visit(name);
+    // Refresh the debug inspector panel, if open
+    hookUpdated(this);
+
+    // Notify bound children to refresh from parent state
+    this.notifyChildren();
+  },
+
+  // Update element text content (data-lavash-display)
+  updateDisplayElement(el) {
+    const fieldName = el.dataset.lavashDisplay;
+    const value = this.state[fieldName];
+    if (value !== undefined) {
+      el.textContent = value;
     }
+  },
 
-    return result;
+  // Show/hide element based on boolean (data-lavash-visible)
+  updateVisibleElement(el) {
+    const fieldName = el.dataset.lavashVisible;
+    setHidden(el, !this.state[fieldName]);
   },
 
-  // Check if element is inside a nested child hook (e.g., ClientComponent)
-  // We should not manipulate elements inside child hooks - they manage their own state
-  isInsideChildHook(el) {
-    let parent = el.parentElement;
-    while (parent && parent !== this.el) {
-      if (parent.hasAttribute("phx-hook") && parent !== this.el) {
-        return true;
-      }
-      parent = parent.parentElement;
+  // Show the current step's sections of a wizard (data-lavash-steps), hide the others
+  updateStepsElement(el) {
+    const current = this.currentStep(el);
+    el.dataset.lavashStepCurrent = current ?? "";
+
+    for (const section of el.querySelectorAll("[data-lavash-step]")) {
+      if (section.closest("[data-lavash-steps]") !== el) continue;
+      // Nested step markers (e.g., on inputs) follow their section
+      const outer = section.parentElement.closest("[data-lavash-step]");
+      if (outer && el.contains(outer)) continue;
+      setHidden(section, section.dataset.lavashStep !== current);
     }
-    return false;
   },
 
-  updateDOM() {
-    console.log(`[LavashOptimistic] updateDOM() called`);
+  // Enable/disable element based on boolean (data-lavash-enabled)
+  updateEnabledElement(el) {
+    const fieldName = el.dataset.lavashEnabled;
+    const value = this.state[fieldName];
+    const enabled = value === true;
+    const wasDisabled = el.disabled;
 
-    // Update all elements with data-lavash-display attribute (text content)
-    const displayElements = this.el.querySelectorAll("[data-lavash-display]");
-    displayElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+    // Update disabled attribute
+    el.disabled = !enabled;
 
-      const fieldName = el.dataset.lavashDisplay;
-      const value = this.state[fieldName];
-      if (value !== undefined) {
-        el.textContent = value;
-      }
-    });
+    // Log state changes for debugging
+    if (wasDisabled !== el.disabled) {
+      log.debug(`Button ${fieldName} enabled state changed: disabled=${wasDisabled} → ${el.disabled} (value=${value})`);
+    }
 
-    // Update all elements with data-lavash-visible attribute (show/hide based on boolean)
-    const visibleElements = this.el.querySelectorAll("[data-lavash-visible]");
-    visibleElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+    // Update classes for visual feedback
+    applyEnabledClasses(el, enabled);
+  },
 
-      const fieldName = el.dataset.lavashVisible;
-      const value = this.state[fieldName];
-      if (value) {
-        el.classList.remove("hidden");
-      } else {
-        el.classList.add("hidden");
-      }
-    });
+  // Toggle classes on boolean (data-lavash-toggle)
+  // Format: "fieldName|trueClasses|falseClasses" (uses | to avoid conflict with Tailwind's :)
+  updateToggleElement(el) {
+    const spec = el.dataset.lavashToggle;
+    const [fieldName, trueClasses, falseClasses] = spec.split("|");
+    const value = this.state[fieldName];
 
-    // Update all elements with data-lavash-enabled attribute (enable/disable based on boolean)
-    const enabledElements = this.el.querySelectorAll("[data-lavash-enabled]");
-    enabledElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+    // Remove all managed classes first
+    const allClasses = (trueClasses + " " + falseClasses).split(/\s+/).filter(c => c);
+    el.classList.remove(...allClasses);
+
+    // Add the appropriate classes
+    const classesToAdd = (value ? trueClasses : falseClasses).split(/\s+/).filter(c => c);
+    el.classList.add(...classesToAdd);
+  },
+
+  // Set class from map (data-lavash-class)
+  // Format: data-lavash-class="roast_chips.light" means state.roast_chips["light"]
+  updateClassElement(el) {
+    const path = el.dataset.lavashClass;
+    const [field, key] = path.split(".");
+    const classMap = this.state[field];
+    if (classMap && key && classMap[key]) {
+      el.className = classMap[key];
+    } else if (classMap && !key) {
+      // Direct field reference (e.g., "in_stock_chip")
+      el.className = classMap;
+    }
+  },
+
+  // Bind attributes/properties to state (data-lavash-attr)
+  // Format: data-lavash-attr="href:share_url,aria-expanded:open"
+  updateAttrElement(el) {
+    for (const [name, path] of parseBindingPairs(el.dataset.lavashAttr)) {
+      applyAttrBinding(el, name, this.getStateAtPath(path));
+    }
+  },
 
-      const fieldName = el.dataset.lavashEnabled;
-      const value = this.state[fieldName];
-      const enabled = value === true;
-      const wasDisabled = el.disabled;
+  // Bind CSS properties to state (data-lavash-style)
+  // Format: data-lavash-style="--progress:percent,background-color:swatch"
+  updateStyleElement(el) {
+    for (const [property, path] of parseBindingPairs(el.dataset.lavashStyle)) {
+      applyStyleBinding(el, property, this.getStateAtPath(path));
+    }
+  },
 
-      // Update disabled attribute
-      el.disabled = !enabled;
+  /**
+   * Render a list from state (data-lavash-each="items").
+   *
+   *   <ul data-lavash-each="items" data-lavash-key="id">
+   *     <template><li data-lavash-item="name" data-lavash-item-attr="data-lavash-value:id"></li></template>
+   *     <li :for={item <- @items} data-lavash-item-key={item.id}>{item.name}</li>
+   *   </ul>
+   *
+   * The client only takes over while the list has unconfirmed changes (and once
+   * more afterwards, to settle on the confirmed value, e.g. after a rollback);
+   * otherwise the server-rendered children are left to morphdom. Children are
+   * reconciled by data-lavash-item-key, so keyed server-rendered items keep
+   * their nodes; unkeyed children are replaced.
+   */
+  updateEachElement(el) {
+    const path = el.dataset.lavashEach;
+    const stale = this.hasStaleServerValue(path);
+    if (!stale && !el.__lavashEachOwned) return;
+    el.__lavashEachOwned = stale;
+
+    const template = el.querySelector(":scope > template");
+    const prototype = template?.content.firstElementChild;
+    if (!prototype) {
+      log.warn(`data-lavash-each="${path}" needs a <template> child`);
+      return;
+    }
 
-      // Log state changes for debugging
-      if (wasDisabled !== el.disabled) {
-        console.log(`[LavashOptimistic] Button ${fieldName} enabled state changed: disabled=${wasDisabled} → ${el.disabled} (value=${value})`);
+    const items = this.getStateAtPath(path);
+    const list = Array.isArray(items) ? items : [];
+    const keyPath = el.dataset.lavashKey;
+
+    // Existing children by key; unkeyed children (besides the template) are dropped
+    const existing = new Map();
+    for (const child of [...el.children]) {
+      if (child === template) continue;
+      const key = child.getAttribute("data-lavash-item-key");
+      if (key === null || existing.has(key)) {
+        child.remove();
+      } else {
+        existing.set(key, child);
       }
+    }
 
-      // Update classes for visual feedback
-      if (enabled) {
-        el.classList.remove('btn-disabled', 'opacity-60', 'cursor-not-allowed');
+    const nodes = list.map((item, index) => {
+      const key = String(keyPath ? itemValueAt(item, keyPath) : (typeof item === "object" ? index : item));
+      let node = existing.get(key);
+      if (node) {
+        existing.delete(key);
       } else {
-        el.classList.add('opacity-60', 'cursor-not-allowed');
+        node = prototype.cloneNode(true);
+        node.setAttribute("data-lavash-item-key", key);
       }
+      this.fillEachItem(node, item);
+      return node;
     });
 
-    // Update all elements with data-lavash-toggle attribute
-    // Format: "fieldName|trueClasses|falseClasses" (uses | to avoid conflict with Tailwind's :)
-    const classToggleElements = this.el.querySelectorAll("[data-lavash-toggle]");
-    classToggleElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
-
-      const spec = el.dataset.lavashToggle;
-      const [fieldName, trueClasses, falseClasses] = spec.split("|");
-      const value = this.state[fieldName];
-
-      // Remove all managed classes first
-      const allClasses = (trueClasses + " " + falseClasses).split(/\s+/).filter(c => c);
-      el.classList.remove(...allClasses);
+    existing.forEach(node => node.remove());
 
-      // Add the appropriate classes
-      const classesToAdd = (value ? trueClasses : falseClasses).split(/\s+/).filter(c => c);
-      el.classList.add(...classesToAdd);
-    });
+    // Move/insert in order, back to front, touching only nodes that are out of place
+    let anchor = null;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      if (node.parentNode !== el || this.nextEachItem(node) !== anchor) {
+        el.insertBefore(node, anchor);
+      }
+      anchor = node;
+    }
+  },
 
-    // Update all elements with data-lavash-class attribute (class from map)
-    // Format: data-lavash-class="roast_chips.light" means state.roast_chips["light"]
-    const classElements = this.el.querySelectorAll("[data-lavash-class]");
-    classElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+  // Next keyed sibling of a list item node (skips whitespace and other children)
+  nextEachItem(node) {
+    let next = node.nextElementSibling;
+    while (next && !next.hasAttribute("data-lavash-item-key")) {
+      next = next.nextElementSibling;
+    }
+    return next;
+  },
 
-      const path = el.dataset.lavashClass;
-      const [field, key] = path.split(".");
-      const classMap = this.state[field];
-      if (classMap && key && classMap[key]) {
-        el.className = classMap[key];
-      } else if (classMap && !key) {
-        // Direct field reference (e.g., "in_stock_chip")
-        el.className = classMap;
+  // Apply data-lavash-item (text) and data-lavash-item-attr bindings within a list item
+  fillEachItem(node, item) {
+    const targets = [node, ...node.querySelectorAll("[data-lavash-item], [data-lavash-item-attr]")];
+    for (const target of targets) {
+      if (target.hasAttribute("data-lavash-item")) {
+        const value = itemValueAt(item, target.getAttribute("data-lavash-item"));
+        target.textContent = value ?? "";
       }
-    });
+      for (const [name, path] of parseBindingPairs(target.getAttribute("data-lavash-item-attr"))) {
+        applyAttrBinding(target, name, itemValueAt(item, path));
+      }
+    }
+  },
 
-    // Update all elements with data-lavash-errors attribute
-    // Only show errors if the corresponding show_errors field is true (touched || submitted)
-    const errorElements = this.el.querySelectorAll("[data-lavash-errors]");
-    errorElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+  /**
+   * Resolve the state fields a data-lavash-errors element reads.
+   * Uses explicit data-lavash-form/field if provided, otherwise derives them
+   * from the errors field name ("registration_name_errors" -> registration, name).
+   */
+  errorsElementFields(el) {
+    const errorsField = el.dataset.lavashErrors; // e.g., "registration_name_errors"
+    const { formName, fieldName } = this.errorsElementFormField(el);
 
-      const errorsField = el.dataset.lavashErrors; // e.g., "registration_name_errors"
-      const clientErrors = this.state[errorsField] || [];
+    const showErrorsField = el.dataset.lavashShowErrors || `${formName}_${fieldName}_show_errors`;
+    return { errorsField, showErrorsField };
+  },
 
-      // Use explicit form/field if provided, otherwise derive from errors field name
-      const explicitForm = el.dataset.lavashForm;
-      const explicitField = el.dataset.lavashField;
+  // Form and field of a data-lavash-errors element
+  errorsElementFormField(el) {
+    if (el.dataset.lavashForm && el.dataset.lavashField) {
+      return { formName: el.dataset.lavashForm, fieldName: el.dataset.lavashField };
+    }
+    const match = el.dataset.lavashErrors.match(/^(.+)_(.+)_errors$/);
+    return match ? { formName: match[1], fieldName: match[2] } : { formName: undefined, fieldName: undefined };
+  },
 
-      let formName, fieldName;
-      if (explicitForm && explicitField) {
-        formName = explicitForm;
-        fieldName = explicitField;
-      } else {
-        // Derive from errors field name: "registration_name_errors" -> form=registration, field=name
-        const match = errorsField.match(/^(.+)_(.+)_errors$/);
-        if (match) {
-          [, formName, fieldName] = match;
-        }
-      }
+  // Render field errors (data-lavash-errors)
+  // Only show errors if the corresponding show_errors field is true (touched || submitted)
+  updateErrorsElement(el) {
+    const { errorsField, showErrorsField } = this.errorsElementFields(el);
+    const clientErrors = this.state[errorsField] || [];
+    const showErrors = this.state[showErrorsField] ?? false;
 
-      const showErrorsField = el.dataset.lavashShowErrors || `${formName}_${fieldName}_show_errors`;
-      const showErrors = this.state[showErrorsField] ?? false;
+    // Errors already include both client and server errors (merged in the derive)
+    const allErrors = clientErrors;
 
-      // Errors already include both client and server errors (merged in the derive)
-      const allErrors = clientErrors;
+    // Track previous visibility state
+    const wasVisible = !classesFor(el, "hidden").every(c => el.classList.contains(c));
+    const willBeVisible = showErrors && allErrors.length > 0;
 
-      // Track previous visibility state
-      const wasVisible = !el.classList.contains("hidden");
-      const willBeVisible = showErrors && allErrors.length > 0;
+    // Screen readers announce new messages without moving focus
+    if (!el.hasAttribute("aria-live")) {
+      el.setAttribute("aria-live", "polite");
+    }
 
-      // Clear existing error content
-      el.innerHTML = "";
+    // Only render errors if showErrors is true and there are errors
+    // (<template> children are kept - they define the error markup)
+    if (willBeVisible) {
+      const template = findTemplate(el, "error", this.el);
+      const { formName, fieldName } = this.errorsElementFormField(el);
+      const label = el.dataset.lavashLabel || this.fieldLabel(formName, fieldName || "");
+      replaceContent(el, allErrors.map(error => {
+        if (template) return renderTemplate(template, { message: error, label });
+        const p = document.createElement("p");
+        p.classList.add(...classesFor(el, "error"));
+        p.textContent = error;
+        return p;
+      }));
+      setHidden(el, false);
+    } else {
+      replaceContent(el, []);
+      setHidden(el, true);
+    }
 
-      // Only render errors if showErrors is true and there are errors
-      if (willBeVisible) {
-        allErrors.forEach(error => {
-          const p = document.createElement("p");
-          p.className = "text-error text-sm";
-          p.textContent = error;
-          el.appendChild(p);
-        });
-        el.classList.remove("hidden");
-      } else {
-        el.classList.add("hidden");
-      }
+    // Log visibility changes for debugging flickering
+    if (wasVisible !== willBeVisible) {
+      formsLog.debug(`DOM error visibility changed for ${errorsField}: ${wasVisible} → ${willBeVisible} (showErrors=${showErrors}, errors=${JSON.stringify(allErrors)})`);
+    }
+  },
 
-      // Log visibility changes for debugging flickering
-      if (wasVisible !== willBeVisible) {
-        console.log(`[LavashOptimistic] DOM error visibility changed for ${errorsField}: ${wasVisible} → ${willBeVisible} (showErrors=${showErrors}, errors=${JSON.stringify(allErrors)})`);
-      }
-    });
+  // Error fields of a form, e.g. "registration" -> ["registration_name_errors", ...]
+  formErrorFields(formName) {
+    return Object.keys(this.state).filter(key =>
+      key.startsWith(`${formName}_`) && key.endsWith("_errors")
+    );
+  },
 
-    // Update error summary element (shows all errors when form is submitted)
-    const errorSummaryElements = this.el.querySelectorAll("[data-lavash-error-summary]");
-    errorSummaryElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+  // Update error summary element (data-lavash-error-summary)
+  // Shows all errors when the form is submitted
+  updateErrorSummaryElement(el) {
+    const formName = el.dataset.lavashErrorSummary; // e.g., "registration"
+
+    // Only show if this specific form has been submitted
+    if (!this.isFormSubmitted(formName)) {
+      setHidden(el, true);
+      replaceContent(el, []);
+      return;
+    }
 
-      const formName = el.dataset.lavashErrorSummary; // e.g., "registration"
+    // Collect all errors for this form (errors already include server errors from derive)
+    const allErrors = [];
+    for (const key of this.formErrorFields(formName)) {
+      const fieldErrors = this.state[key] || [];
+      const fieldName = key.replace(`${formName}_`, "").replace(/_errors$/, "");
 
-      // Only show if this specific form has been submitted
-      if (!this.isFormSubmitted(formName)) {
-        el.classList.add("hidden");
-        el.innerHTML = "";
-        return;
+      if (fieldErrors.length > 0) {
+        allErrors.push({ field: fieldName, errors: fieldErrors });
       }
+    }
 
-      // Collect all errors for this form
-      const allErrors = [];
+    if (allErrors.length === 0) {
+      replaceContent(el, []);
+      setHidden(el, true);
+      return;
+    }
 
-      // Find all error fields for this form (errors already include server errors from derive)
-      for (const key of Object.keys(this.state)) {
-        if (key.startsWith(`${formName}_`) && key.endsWith("_errors")) {
-          const fieldErrors = this.state[key] || [];
-          const fieldName = key.replace(`${formName}_`, "").replace(/_errors$/, "");
+    // Rebuild content from the "summary"/"summary-item" templates, or the default heading + list
+    const itemTemplate = findTemplate(el, "summary-item", this.el);
+    const items = allErrors.flatMap(({ field, errors }) => {
+      const label = this.fieldLabel(formName, field);
+      return errors.map(error => {
+        if (itemTemplate) return renderTemplate(itemTemplate, { message: error, label });
+        const li = document.createElement("li");
+        li.textContent = `${label}: ${error}`;
+        return li;
+      });
+    });
 
-          if (fieldErrors.length > 0) {
-            allErrors.push({ field: fieldName, errors: fieldErrors });
-          }
-        }
-      }
+    const title = configuredText("summaryTitle");
+    const summaryTemplate = findTemplate(el, "summary", this.el);
+    if (summaryTemplate) {
+      const fragment = renderTemplate(summaryTemplate, { title });
+      (fragment.querySelector('[data-lavash-slot="errors"]') || fragment).append(...items);
+      replaceContent(el, [fragment]);
+    } else {
+      const heading = document.createElement("p");
+      heading.classList.add(...classesFor(el, "summaryTitle"));
+      heading.textContent = title;
 
-      // Clear and rebuild content
-      el.innerHTML = "";
+      const ul = document.createElement("ul");
+      ul.classList.add(...classesFor(el, "summaryList"));
+      ul.append(...items);
 
-      if (allErrors.length > 0) {
-        const title = document.createElement("p");
-        title.className = "font-semibold text-red-700 mb-2";
-        title.textContent = "Please fix the following errors:";
-        el.appendChild(title);
+      replaceContent(el, [heading, ul]);
+    }
+    setHidden(el, false);
+  },
 
-        const ul = document.createElement("ul");
-        ul.className = "list-disc list-inside space-y-1";
+  // Resolve the state fields a data-lavash-status element reads
+  statusElementFields(el) {
+    const validField = el.dataset.lavashStatus; // e.g., "registration_name_valid"
 
-        for (const { field, errors } of allErrors) {
-          for (const error of errors) {
-            const li = document.createElement("li");
-            li.textContent = `${this.humanizeFieldName(field)}: ${error}`;
-            ul.appendChild(li);
-          }
-        }
+    // Use explicit form/field if provided
+    const explicitForm = el.dataset.lavashForm;
+    const explicitField = el.dataset.lavashField;
 
-        el.appendChild(ul);
-        el.classList.remove("hidden");
-      } else {
-        el.classList.add("hidden");
-      }
-    });
+    const showErrorsField = el.dataset.lavashShowErrors ||
+      (explicitForm && explicitField ? `${explicitForm}_${explicitField}_show_errors` : validField.replace(/_valid$/, "_show_errors"));
 
-    // Update field status indicators (✗ when invalid, empty otherwise)
-    const statusElements = this.el.querySelectorAll("[data-lavash-status]");
-    statusElements.forEach(el => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(el)) return;
+    const errorsField = validField.replace(/_valid$/, "_errors");
+    const validatingField = explicitForm && explicitField
+      ? `${explicitForm}_${explicitField}_validating`
+      : validField.replace(/_valid$/, "_validating");
+    return { validField, showErrorsField, errorsField, validatingField };
+  },
 
-      const validField = el.dataset.lavashStatus; // e.g., "registration_name_valid"
+  // Update field status indicators with the markup for the field's status
+  updateStatusElement(el) {
+    const { validField, showErrorsField, errorsField, validatingField } = this.statusElementFields(el);
+    const isValid = this.state[validField] ?? true;
+    const showErrors = this.state[showErrorsField] ?? false;
+
+    // Check for errors (client + server already merged in derive)
+    const hasErrors = (this.state[errorsField] || []).length > 0;
+
+    // Validating shows right away; valid/invalid only once touched/submitted
+    let status = "idle";
+    if (this.state[validatingField]) {
+      status = "validating";
+    } else if (showErrors) {
+      status = isValid && !hasErrors ? "valid" : "invalid";
+    }
 
-      // Use explicit form/field if provided
-      const explicitForm = el.dataset.lavashForm;
-      const explicitField = el.dataset.lavashField;
+    // Re-rendering unchanged markup would restart spinner animations
+    if (el.dataset.lavashStatusState === status) return;
+    el.dataset.lavashStatusState = status;
+
+    // Markup: data-lavash-status-<status> attribute, then a status-<status> template, then the default
+    const custom = el.getAttribute(`data-lavash-status-${status}`);
+    const template = custom != null
+      ? templateFromHTML(custom)
+      : findTemplate(el, `status-${status}`, this.el) || templateFromHTML(DEFAULT_STATUS_MARKUP[status]);
+    replaceContent(el, [template.content.cloneNode(true)]);
+    toggleClasses(el, "statusInvalid", status === "invalid");
+  },
 
-      const showErrorsField = el.dataset.lavashShowErrors ||
-        (explicitForm && explicitField ? `${explicitForm}_${explicitField}_show_errors` : validField.replace(/_valid$/, "_show_errors"));
+  // Resolve the validation state fields a bound input reads (null if not a form field)
+  inputValidationFields(input) {
+    const fieldPath = input.dataset.lavashBind; // e.g., "registration_params.name"
 
-      const isValid = this.state[validField] ?? true;
-      const showErrors = this.state[showErrorsField] ?? false;
+    // Get form/field from explicit attributes or derive from path
+    const { formName, fieldName } = this.getFormField(input, fieldPath);
+    if (!formName || !fieldName) return null;
+
+    // Use custom valid field if specified, otherwise standard
+    return {
+      showErrorsField: `${formName}_${fieldName}_show_errors`,
+      validField: input.dataset.lavashValid || `${formName}_${fieldName}_valid`,
+      errorsField: `${formName}_${fieldName}_errors`
+    };
+  },
 
-      // Check for errors (client + server already merged in derive)
-      const errorsField = validField.replace(/_valid$/, "_errors");
-      const hasErrors = (this.state[errorsField] || []).length > 0;
+  // Update input border colors based on validation state (data-lavash-bind)
+  updateInputValidationClasses(input) {
+    const fields = this.inputValidationFields(input);
+    if (!fields) return;
 
-      // Only show status if field has been touched/submitted and is invalid
-      // (no success indicator - green checkmarks are distracting)
-      if (!showErrors || (isValid && !hasErrors)) {
-        el.textContent = "";
-        el.className = el.className.replace(/text-red-\d+/g, "").trim();
-      } else {
-        el.textContent = "✗";
-        el.className = el.className.replace(/text-red-\d+/g, "").trim() + " text-red-500";
-      }
-    });
+    const showErrors = this.state[fields.showErrorsField] ?? false;
+    const isValid = this.state[fields.validField] ?? true;
 
-    // Update input border colors based on validation state
-    // Find all bound inputs and update their border/ring classes
-    const boundInputs = this.el.querySelectorAll("[data-lavash-bind]");
-    boundInputs.forEach(input => {
-      // Skip elements inside nested child hooks - they manage their own state
-      if (this.isInsideChildHook(input)) return;
+    // Check for errors (client + server already merged in derive)
+    const hasErrors = (this.state[fields.errorsField] || []).length > 0;
 
-      const fieldPath = input.dataset.lavashBind; // e.g., "registration_params.name"
+    // Swap the configured invalid/valid classes (by default only invalid inputs are styled -
+    // green is distracting)
+    const invalid = showErrors && (!isValid || hasErrors);
+    toggleClasses(input, invalid ? "inputValid" : "inputInvalid", false);
+    toggleClasses(input, invalid ? "inputInvalid" : "inputValid", true);
 
-      // Get form/field from explicit attributes or derive from path
-      const { formName, fieldName } = this.getFormField(input, fieldPath);
-      if (!formName || !fieldName) return;
-
-      // Check show_errors state
-      const showErrorsField = `${formName}_${fieldName}_show_errors`;
-      const showErrors = this.state[showErrorsField] ?? false;
-
-      // Check validity - use custom valid field if specified, otherwise standard
-      const customValidField = input.dataset.lavashValid;
-      const validField = customValidField || `${formName}_${fieldName}_valid`;
-      const isValid = this.state[validField] ?? true;
-
-      // Check for errors (client + server already merged in derive)
-      const errorsField = `${formName}_${fieldName}_errors`;
-      const hasErrors = (this.state[errorsField] || []).length > 0;
-
-      // Remove existing validation state classes (DaisyUI semantic + Tailwind fallback)
-      const validationClasses = [
-        // DaisyUI semantic classes
-        "input-error",
-        // Tailwind fallback classes
-        "border-gray-300", "border-red-300",
-        "focus:ring-blue-500", "focus:ring-red-500"
-      ];
-      validationClasses.forEach(c => input.classList.remove(c));
-
-      // Apply error class only when invalid (no success styling - green is distracting)
-      if (showErrors && (!isValid || hasErrors)) {
-        input.classList.add("input-error");
-      }
-    });
+    // Same state for assistive technology
+    if (invalid) {
+      input.setAttribute("aria-invalid", "true");
+    } else {
+      input.removeAttribute("aria-invalid");
+    }
+    this.linkErrorsContainers(input, fields.errorsField);
+  },
 
-    // Notify bound children to refresh from parent state
-    this.notifyChildren();
+  /**
+   * Point a bound input's aria-describedby at the data-lavash-errors containers
+   * of its field. Containers need a server-rendered id: one set here would
+   * differ from the server markup, so patches would replace the container.
+   */
+  linkErrorsContainers(input, errorsField) {
+    const containers = this.getDomIndex().byAttr["data-lavash-errors"]
+      .filter(el => this.errorsElementFields(el).errorsField === errorsField);
+    if (containers.length === 0) return;
+
+    const ids = new Set((input.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean));
+    const before = ids.size;
+    for (const container of containers) {
+      if (container.id) {
+        ids.add(container.id);
+      } else if (!unlinkedErrorContainers.has(container)) {
+        unlinkedErrorContainers.add(container);
+        formsLog.warn(`data-lavash-errors="${errorsField}" has no id, so inputs can't reference it with aria-describedby`, container);
+      }
+    }
+    if (ids.size !== before) {
+      input.setAttribute("aria-describedby", [...ids].join(" "));
+    }
   },
 
   notifyChildren() {
     // Find all child hooks that bind to this parent
-    const children = this.el.querySelectorAll("[phx-hook]");
-    children.forEach(el => {
+    this.getDomIndex().childHooks.forEach(el => {
       const hook = el.__lavash_hook__;
       if (hook?.refreshFromParent) {
         hook.refreshFromParent(this);
@@ -1627,7 +3436,7 @@ const LavashOptimistic = {
       const localValue = this.state[localField];
 
       if (parentValue !== localValue) {
-        console.log(`[LavashOptimistic] refreshFromParent: ${localField} = ${JSON.stringify(parentValue)} (was ${JSON.stringify(localValue)})`);
+        log.debug(`refreshFromParent: ${localField} = ${JSON.stringify(parentValue)} (was ${JSON.stringify(localValue)})`);
         this.state[localField] = parentValue;
         changedFields.push(localField);
 
@@ -1676,6 +3485,22 @@ const LavashOptimistic = {
     }
   },
 
+  /**
+   * Label of a form field for error messages: data-lavash-label on the bound
+   * input, the text of its <label for>, or the humanized field name.
+   */
+  fieldLabel(formName, fieldName) {
+    // Bound inputs are indexed under their errors field (inputValidationFields)
+    const inputs = this.getDomIndex().byField.get(`${formName}_${fieldName}_errors`)?.get("data-lavash-bind");
+    const input = inputs && [...inputs].find(candidate => candidate.isConnected);
+
+    if (input?.dataset.lavashLabel) return input.dataset.lavashLabel;
+
+    // input.labels covers both <label for> and a wrapping <label>
+    const text = input?.labels?.[0]?.textContent.replace(/\s+/g, " ").trim();
+    return text || this.humanizeFieldName(fieldName);
+  },
+
   // Convert snake_case field name to Title Case
   humanizeFieldName(name) {
     return name
@@ -1685,8 +3510,162 @@ const LavashOptimistic = {
   },
 
   // Sync URL fields to browser URL without triggering navigation
+  // (pushes a history entry when a history: :push field changed)
   syncUrl() {
-    syncStateToUrl(this.urlFields, this.state);
+    syncStateToUrl(this.urlFields, this.state, {
+      ...this.urlOptions(),
+      history: this.urlHistory,
+      defaults: this.urlDefaults,
+      coalesce: this.urlCoalesce,
+      lastPush: this.urlLastPush
+    });
+  },
+
+  // Where and how URL fields are written (the route is re-read, a patch can change it)
+  urlOptions() {
+    return {
+      types: this.urlTypes,
+      keys: this.urlKeys,
+      route: this.el.dataset.lavashUrlRoute || null,
+      hash: this.urlHash
+    };
+  },
+
+  // Back/forward navigation, including hash links
+  handlePopState() {
+    this.applyUrlState(this.urlFields);
+  },
+
+  /**
+   * Apply the current URL's values of the given URL fields (those in client state).
+   *
+   * Query and path fields are applied as confirmed values: LiveView patches the
+   * entry's URL (our pushed entries keep its history state) and handle_params
+   * re-reads them on the server. Hash fields never reach the server, so they are
+   * applied optimistically and pushed through their setter actions.
+   */
+  applyUrlState(fields) {
+    const values = readStateFromUrl(this.urlFields, window.location, this.urlOptions());
+    const changedFields = [];
+    const hashFields = [];
+
+    for (const field of fields) {
+      if (!(field in this.state)) continue;
+
+      // Absent params mean the default, like on the server. Typed fields come back
+      // decoded; others are shaped like the current value
+      let value;
+      if (values[field] === undefined && field in this.urlDefaults) {
+        value = structuredClone(this.urlDefaults[field]);
+      } else if (this.urlTypes[field] && values[field] !== undefined) {
+        value = values[field];
+      } else {
+        value = urlValueLike(values[field], this.state[field]);
+      }
+      if (JSON.stringify(value) === JSON.stringify(this.state[field] ?? null)) continue;
+
+      const syncedVar = this.store.get(field, this.state[field], (newVal) => {
+        this.state[field] = newVal;
+      });
+      if (this.urlHash.includes(field)) {
+        this.state[field] = value;
+        syncedVar.setOptimistic(value);
+        hashFields.push(field);
+      } else if (syncedVar.serverSet(value)) {
+        this.state[field] = value;
+      } else {
+        // Unconfirmed edit - the patch's render decides
+        continue;
+      }
+      changedFields.push(field);
+    }
+    if (changedFields.length === 0) return;
+
+    log.debug("URL state applied", changedFields);
+    this.clientVersion++;
+
+    // The URL already shows these values, so no syncUrl()
+    this.notifyAnimatedStates(changedFields);
+    this.recomputeDerives(changedFields);
+    this.updateDOM(changedFields);
+
+    for (const field of hashFields) {
+      this.pushAction(`set_${field}`, { value: this.state[field] }, { fields: [field] });
+    }
+  },
+
+  /**
+   * Join the BroadcastChannel of this page's sync: :tabs fields. The key follows
+   * the route params, so it's checked again after each patch.
+   */
+  openTabSync() {
+    if (this.syncTabs.length === 0) return;
+    const key = this.el.dataset.lavashSyncKey || this.moduleName;
+    if (this.tabSync?.key === key) return;
+
+    this.tabSync?.close();
+    this.tabSync = new TabSync(key, (values) => this.applyTabValues(values));
+  },
+
+  // Post the confirmed values of sync: :tabs fields to other tabs: after an
+  // acknowledged action, or when a server patch changed them
+  postToTabs(fields) {
+    if (!this.tabSync) return;
+
+    const values = {};
+    for (const field of fields) {
+      if (this.syncTabs.includes(field) && !this.store.isPending(field)) {
+        values[field] = this.state[field];
+      }
+    }
+    this.tabSync.post(values);
+  },
+
+  /**
+   * Values confirmed in another tab: apply them like a server patch (fields with
+   * pending local edits keep them) and send them to this tab's server, which
+   * still has the old values, through the fields' generated setter actions
+   * (which cast them like any action).
+   */
+  applyTabValues(values) {
+    const changedFields = [];
+
+    for (const [field, value] of Object.entries(values)) {
+      if (!this.syncTabs.includes(field)) continue;
+      if (JSON.stringify(value) === JSON.stringify(this.state[field] ?? null)) continue;
+
+      const syncedVar = this.store.get(field, this.state[field], (newVal) => {
+        this.state[field] = newVal;
+      });
+      if (!syncedVar.serverSet(value)) continue;
+      this.state[field] = value;
+      changedFields.push(field);
+    }
+    if (changedFields.length === 0) return;
+
+    log.debug("applied values from another tab", changedFields);
+    this.notifyAnimatedStates(changedFields);
+    this.recomputeDerives(changedFields);
+    this.updateDOM(changedFields);
+    if (changedFields.some(field => this.urlFields.includes(field))) {
+      this.syncUrl();
+    }
+
+    // Not an optimistic action: nothing to acknowledge, and no echo to other tabs
+    if (this.isSocketConnected()) {
+      for (const field of changedFields) {
+        this.pushEvent(`set_${field}`, { value: this.state[field] });
+      }
+    }
+  },
+
+  /**
+   * Whether a server-rendered value for a state path may be stale: the field
+   * itself has unconfirmed optimistic changes, or it's a derive of such fields.
+   */
+  hasStaleServerValue(path) {
+    const root = path.split(".")[0];
+    return this.isFieldPending(root) || this.hasPendingSources(root);
   },
 
   // Check if a field has pending sources (for derives)
@@ -1770,21 +3749,34 @@ const LavashOptimistic = {
     // Initialize form params from any newly-added inputs (e.g., async modal content)
     // This ensures prepopulated/default values are in form_params before validation
     this.initializeFormParamsFromDOM();
+    this.coerceBoundState();
+    this.formatBoundInputs();
+    this.snapshotInitialValues();
 
     // Recompute derives based on current state
     this.recomputeDerives();
 
+    // The patch may have added, removed or re-pointed bound elements
+    this.invalidateDomIndex();
+
+    // Server values (and morphdom) may have changed dirty flags and attributes
+    this.updateDirtyState();
+
     // Update DOM after server patch
     this.updateDOM();
 
+    // A patch to other route params moves this page to another channel
+    this.openTabSync();
+    this.postToTabs(changedFields);
+
     // Restore all inputs with pending values (server may have overwritten them)
     const boundInputs = this.el.querySelectorAll("[data-lavash-bind]");
     boundInputs.forEach(input => {
       const fieldPath = input.dataset.lavashBind;
       if (fieldPath && this.store.isPending(fieldPath)) {
         const val = this.store.getValue(fieldPath);
-        if (val !== undefined && input.value !== val) {
-          input.value = val;
+        if (val !== undefined) {
+          this.writeInputValue(input, val);
         }
       }
     });
@@ -1822,7 +3814,7 @@ const LavashOptimistic = {
   notifyAnimatedStatesServerUpdate(changedFields) {
     if (!this.animatedStates || !changedFields) return;
 
-    console.log(`[LavashOptimistic] notifyAnimatedStatesServerUpdate - changedFields:`, changedFields);
+    animationLog.trace(`notifyAnimatedStatesServerUpdate - changedFields:`, changedFields);
 
     for (const field of changedFields) {
       const animated = this.animatedStates[field];
@@ -1830,11 +3822,11 @@ const LavashOptimistic = {
         const oldValue = animated.syncedVar.getValue();
         const newValue = this.state[field];
 
-        console.log(`[LavashOptimistic] animated field ${field}: oldValue=${oldValue}, newValue=${newValue}`);
+        animationLog.trace(`animated field ${field}: oldValue=${oldValue}, newValue=${newValue}`);
 
         // Only notify if value actually changed
         if (oldValue !== newValue) {
-          console.log(`[LavashOptimistic] Notifying animated state for ${field}: ${oldValue} -> ${newValue}`);
+          animationLog.debug(`Notifying animated state for ${field}: ${oldValue} -> ${newValue}`);
           try {
             // Directly update the SyncedVar's value and confirmed state
             // We bypass serverSet() because it rejects when isPending, but version
@@ -1845,7 +3837,7 @@ const LavashOptimistic = {
             // AnimatedState.onValueChange handles the phase state machine
             animated.onValueChange(newValue, oldValue, 'server');
           } catch (e) {
-            console.error(`[LavashOptimistic] Error notifying animated state for ${field}:`, e);
+            animationLog.error(`Error notifying animated state for ${field}:`, e);
           }
         }
       }
@@ -1873,8 +3865,12 @@ const LavashOptimistic = {
         const formName = prefix.replace(/_server_errors$/, "");
         const paramPath = `${formName}_params.${key}`;
         if (pendingPaths.has(paramPath)) {
-          console.log(`[LavashOptimistic] Skipping server error update for ${path} - corresponding param ${paramPath} is pending`);
+          formsLog.debug(`Skipping server error update for ${path} - corresponding param ${paramPath} is pending`);
           hasPendingChild = true; // Treat as pending to skip this server error update
+        } else if (this.isValidationStale(formName, key)) {
+          // Field changed since its last validation - the validation reply decides
+          formsLog.debug(`Skipping server error update for ${path} - newer validation pending`);
+          hasPendingChild = true;
         }
       }
 
@@ -1889,7 +3885,7 @@ const LavashOptimistic = {
             // Check if any params for this form are pending
             const hasFormParamsPending = [...pendingPaths].some(p => p.startsWith(paramsField + "."));
             if (hasFormParamsPending) {
-              console.log(`[LavashOptimistic] Skipping clear of ${key} - form has pending params`);
+              formsLog.debug(`Skipping clear of ${key} - form has pending params`);
               shouldSkipClear = true;
             }
           }
@@ -1897,7 +3893,7 @@ const LavashOptimistic = {
           if (!shouldSkipClear) {
             const oldValue = this.getStateAtPath(path);
             if (oldValue !== undefined && oldValue !== null && typeof oldValue === "object" && Object.keys(oldValue).length > 0) {
-              console.log(`[LavashOptimistic] Clearing ${path}: empty object from server, no pending paths`);
+              formsLog.debug(`Clearing ${path}: empty object from server, no pending paths`);
               this.setStateAtPath(path, {});
               if (changedFields && !changedFields.includes(topLevelField)) {
                 changedFields.push(topLevelField);
@@ -1925,54 +3921,181 @@ const LavashOptimistic = {
   },
 
   /**
-   * Format an input value based on the format type.
-   * Returns { value: rawValue, display: formattedDisplay } or null if no formatting needed.
+   * Read the state value of a bound input, by input type:
+   * - checkbox: boolean, or an array of checked values when several checkboxes
+   *   share the binding (or the name ends in "[]")
+   * - radio: value of the checked radio in the group (null when none is checked)
+   * - select multiple: array of selected option values
+   * - anything else: input.value
+   * Form params paths ("form_params.field") keep Elixir params conventions:
+   * booleans become "true"/"false" and an empty radio group "".
+   */
+  readInputValue(input) {
+    const fieldPath = input.dataset.lavashBind;
+    const isParams = fieldPath?.includes("_params.");
+
+    if (input.type === "checkbox") {
+      const group = this.checkboxGroup(input);
+      if (group) {
+        return group.filter(box => box.checked).map(box => box.value);
+      }
+      return isParams ? String(input.checked) : input.checked;
+    }
+
+    if (input.type === "radio") {
+      const checked = this.inputsBoundTo(fieldPath, "radio").find(radio => radio.checked);
+      return checked ? checked.value : (isParams ? "" : null);
+    }
+
+    if (input.tagName === "SELECT" && input.multiple) {
+      return [...input.selectedOptions].map(option => option.value);
+    }
+
+    return input.value;
+  },
+
+  /**
+   * Show a state value in a bound input (inverse of readInputValue).
+   * Used to restore pending values over server patches.
+   */
+  writeInputValue(input, value) {
+    if (input.type === "checkbox") {
+      input.checked = Array.isArray(value)
+        ? value.map(String).includes(input.value)
+        : value === true || value === "true";
+    } else if (input.type === "radio") {
+      input.checked = value != null && String(value) === input.value;
+    } else if (input.tagName === "SELECT" && input.multiple) {
+      const selected = (Array.isArray(value) ? value : []).map(String);
+      for (const option of input.options) {
+        option.selected = selected.includes(option.value);
+      }
+    } else {
+      const display = this.displayValueFor(input, value);
+      if (input.value !== display) {
+        input.value = display ?? "";
+      }
+    }
+  },
+
+  // Inputs of a type bound to the same path within this hook (checkbox/radio groups)
+  inputsBoundTo(fieldPath, type) {
+    const selector = `input[type="${type}"][data-lavash-bind="${CSS.escape(fieldPath)}"]`;
+    return [...this.el.querySelectorAll(selector)].filter(input => !this.isInsideChildHook(input));
+  },
+
+  // Checkboxes that together form an array value, or null for a single boolean checkbox
+  checkboxGroup(input) {
+    const group = this.inputsBoundTo(input.dataset.lavashBind, "checkbox");
+    return group.length > 1 || input.name?.endsWith("[]") ? group : null;
+  },
+
+  /**
+   * Format an input value based on the data-lavash-format registry (see input_formats.js).
+   * Returns { value, display, caret } or null if the format is unknown.
    *
-   * Supported formats:
-   * - "credit-card": Format as XXXX XXXX XXXX XXXX (spaces every 4 digits)
-   * - "expiry": Format as MM/YY (slash after 2 digits)
-   */
-  formatInputValue(rawValue, format) {
-    switch (format) {
-      case "credit-card": {
-        // Strip non-digits
-        const digits = rawValue.replace(/\D/g, "");
-        // Limit to 16 digits (or 19 for some card types, but 16 is standard)
-        const limited = digits.slice(0, 16);
-        // Format with spaces every 4 digits
-        const display = limited.match(/.{1,4}/g)?.join(" ") || "";
-        // Store the formatted value (with spaces) - validation strips non-digits anyway
-        return { value: display, display };
-      }
-
-      case "expiry": {
-        // Strip non-digits
-        const digits = rawValue.replace(/\D/g, "");
-        // Limit to 4 digits (MMYY)
-        const limited = digits.slice(0, 4);
-        // Format as MM/YY
-        let display;
-        if (limited.length <= 2) {
-          display = limited;
-        } else {
-          display = limited.slice(0, 2) + "/" + limited.slice(2);
-        }
-        // Store the formatted value (with slash)
-        return { value: display, display };
+   * Built-in formats: "credit-card", "expiry", "phone", "iban", "postal-code",
+   * "currency", "percent". Register more with Lavash.registerFormat().
+   *
+   * @param {string} rawValue - Text currently in the input
+   * @param {string} format - Format name
+   * @param {HTMLElement} input - The input (for locale/options and caret position)
+   */
+  formatInputValue(rawValue, format, input = null) {
+    const caret = input && input === document.activeElement ? input.selectionStart : null;
+    const formatted = formatInput(format, rawValue, caret, input ? resolveFormatOptions(input) : {});
+    if (formatted === null) {
+      formsLog.warn(`Unknown data-lavash-format "${format}"`);
+    }
+    return formatted;
+  },
+
+  /**
+   * Display text for a state value in a formatted or typed input (others get the value as-is).
+   */
+  displayValueFor(input, value) {
+    const { lavashFormat: format, lavashType: type } = input.dataset;
+    if (type) {
+      const typed = fromWire(type, value);
+      return format
+        ? formatValue(format, toWire(type, typed), resolveFormatOptions(input))
+        : displayTyped(type, typed, resolveLocale(input), input.type);
+    }
+    return format ? formatValue(format, value, resolveFormatOptions(input)) : value;
+  },
+
+  /**
+   * Replace wire strings ("1234.5", "2024-01-05") from the server or the DOM with
+   * typed values for every data-lavash-type input's bound path.
+   * @returns {boolean} Whether any state value changed
+   */
+  coerceBoundState() {
+    let changed = false;
+    for (const input of this.el.querySelectorAll("[data-lavash-type][data-lavash-bind]")) {
+      if (this.isInsideChildHook(input)) continue;
+      const fieldPath = input.dataset.lavashBind;
+      const value = this.getStateAtPath(fieldPath);
+      if (typeof value !== "string") continue;
+
+      const typed = fromWire(input.dataset.lavashType, value);
+      if (typed !== value) {
+        this.setStateAtPath(fieldPath, typed);
+        changed = true;
       }
+    }
+    return changed;
+  },
 
-      default:
-        return null;
+  /**
+   * Render the display text of every data-lavash-format/-type input from its bound
+   * state value (or the parsed value the server rendered into it).
+   *
+   * The focused input and inputs with unconfirmed edits keep what the user typed;
+   * they are formatted on blur (see handleBlur).
+   */
+  formatBoundInputs() {
+    for (const input of this.el.querySelectorAll("[data-lavash-bind]:is([data-lavash-format], [data-lavash-type])")) {
+      if (this.isInsideChildHook(input)) continue;
+      if (input === document.activeElement || this.store.isPending(input.dataset.lavashBind)) continue;
+      this.formatBoundInput(input);
+    }
+  },
+
+  formatBoundInput(input) {
+    const value = this.getStateAtPath(input.dataset.lavashBind) ?? input.value;
+    const display = this.displayValueFor(input, value);
+    if (display != null && input.value !== display) {
+      input.value = display;
+    }
+  },
+
+  /**
+   * Put parsed values (not the display text) into the form data of formatted and
+   * typed inputs, so phx-submit/phx-change send the same values as the bound state.
+   */
+  handleFormData(e) {
+    const selector = "[data-lavash-bind][name]:is([data-lavash-format], [data-lavash-type])";
+    for (const input of e.target.querySelectorAll(selector)) {
+      if (this.isInsideChildHook(input)) continue;
+      const value = toWire(input.dataset.lavashType, this.getStateAtPath(input.dataset.lavashBind));
+      if (value !== undefined && value !== null) {
+        e.formData.set(input.name, value);
+      }
     }
   },
 
   destroyed() {
+    untrackHook(this);
+    this._domIndexObserver?.disconnect();
+
     // Preserve client-only state for potential remount
     // This allows touched/submitted state to survive hook remounts during LiveView patches
     if (this.el.id) {
       _preservedClientState.set(this.el.id, {
         fieldState: this.fieldState,
-        submittedForms: this.submittedForms
+        submittedForms: this.submittedForms,
+        initialValues: this.initialValues,
+        initialParams: this.initialParams
       });
       // Clear after a short delay if not reused (prevents memory leaks)
       setTimeout(() => {
@@ -1986,6 +4109,18 @@ const LavashOptimistic = {
     this.el.removeEventListener("change", this.handleInput.bind(this), true);
     this.el.removeEventListener("blur", this.handleBlur.bind(this), true);
     this.el.removeEventListener("submit", this.handleFormSubmit.bind(this), true);
+    this.el.removeEventListener("formdata", this._formDataHandler, true);
+    this.el.removeEventListener("reset", this._formResetHandler, true);
+    if (this._historyKeydownHandler) {
+      this.el.removeEventListener("keydown", this._historyKeydownHandler);
+    }
+    window.removeEventListener("lavash:locale-change", this._localeChangeHandler);
+    if (this._popStateHandler) {
+      window.removeEventListener("popstate", this._popStateHandler);
+    }
+    window.removeEventListener("beforeunload", this._beforeUnloadHandler);
+    window.removeEventListener("click", this._guardedNavigationHandler, true);
+    this.tabSync?.close();
 
     // Clean up modal event listeners
     if (this._modalEventListeners) {
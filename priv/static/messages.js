@@ -0,0 +1,81 @@
+/**
+ * Message catalog for client-side validation errors.
+ *
+ * Generated validators report failed constraints as a code plus params
+ * ({code: "min_length", params: {count: 3}}) and the hook turns them into text
+ * in the current locale. Custom messages from Ash validations or extend_errors
+ * are used as written.
+ *
+ *   Lavash.registerMessages("de", {
+ *     required: "ist erforderlich",
+ *     min_length: "muss mindestens {count} Zeichen lang sein",
+ *     max: (params) => `darf höchstens ${params.max} sein`
+ *   });
+ *   Lavash.setLocale("de"); // default: <html lang>, then the browser language
+ *
+ * Lookup goes from the full locale ("de-AT") to its language ("de") to English;
+ * an unknown code falls back to the code itself. Messages are strings with
+ * {param} placeholders, or functions of the params.
+ *
+ * Codes: required, min_length, max_length, min, max, match (see
+ * Lavash.Form.ConstraintTranspiler.error_code/2).
+ */
+
+const catalogs = {
+  en: {
+    required: "is required",
+    min_length: ({ count }) => `must be at least ${count} ${count === 1 ? "character" : "characters"}`,
+    max_length: ({ count }) => `must be at most ${count} ${count === 1 ? "character" : "characters"}`,
+    min: "must be at least {min}",
+    max: "must be at most {max}",
+    match: "is invalid"
+  }
+};
+
+let currentLocale = null;
+
+/**
+ * Add (or override) messages for a locale.
+ *
+ * @param {string} locale - e.g., "de" or "pt-BR"
+ * @param {Object} messages - Code -> string with {param} placeholders, or (params) => string
+ */
+export function registerMessages(locale, messages) {
+  catalogs[locale] = { ...(catalogs[locale] || {}), ...messages };
+}
+
+/**
+ * Set the locale used for messages (null goes back to the document/browser locale).
+ */
+export function setLocale(locale) {
+  currentLocale = locale;
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new CustomEvent("lavash:locale-change", { detail: { locale: getLocale() } }));
+  }
+}
+
+export function getLocale() {
+  return currentLocale ||
+    (typeof document !== "undefined" && document.documentElement.lang) ||
+    (typeof navigator !== "undefined" && navigator.language) ||
+    "en";
+}
+
+function lookup(code, locale) {
+  const language = locale.split("-")[0];
+  return catalogs[locale]?.[code] ?? catalogs[language]?.[code] ?? catalogs.en[code];
+}
+
+/**
+ * Text for an error code in the current (or given) locale.
+ *
+ * @param {string} code - Error code
+ * @param {Object} params - Interpolation params
+ * @param {string} locale - Defaults to getLocale()
+ */
+export function translate(code, params = {}, locale = getLocale()) {
+  const message = lookup(code, locale);
+  if (message == null) return code;
+  if (typeof message === "function") return message(params);
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
@@ -1,3 +1,5 @@
+import { createLogger } from "./debug.js";
+
 // Debug: Animation speed multiplier (1 = normal, 0.1 = 10x slower, 2 = 2x faster)
 const ANIMATION_SPEED = 1;
 
@@ -47,6 +49,7 @@ export class OverlayAnimator {
     this.el = el;
     this.config = config;
     this.type = config.type || "modal";
+    this.log = createLogger("animation", `OverlayAnimator:${this.type}`);
     this.slideFrom = config.slideFrom || "right";
 
     // Apply speed multiplier: lower = slower (0.1 = 10x slower)
@@ -122,8 +125,8 @@ export class OverlayAnimator {
     // Check if this is a reopen (interrupting close animation)
     const isReopen =
       !!this._ghostOverlay || !this.el.classList.contains("invisible");
-    console.log(
-      `[OverlayAnimator:${this.type}] onEntering: isReopen=${isReopen}`
+    this.log.debug(
+      `onEntering: isReopen=${isReopen}`
     );
 
     if (isReopen) {
@@ -176,11 +179,11 @@ export class OverlayAnimator {
         ? parseFloat(getComputedStyle(this.panelContent).opacity)
         : 1;
       const alreadyVisible = currentOpacity > 0.5;
-      console.log(
-        `[OverlayAnimator:${this.type}] onEntering: alreadyVisible=${alreadyVisible}, opacity=${currentOpacity}`
+      this.log.debug(
+        `onEntering: alreadyVisible=${alreadyVisible}, opacity=${currentOpacity}`
       );
-      console.log(
-        `[OverlayAnimator:${this.type}] onEntering: wrapper.class="${this.el.className}"`
+      this.log.trace(
+        `onEntering: wrapper.class="${this.el.className}"`
       );
 
       if (alreadyVisible) {
@@ -244,14 +247,14 @@ export class OverlayAnimator {
    * Called when entering the "loading" phase.
    */
   onLoading(_syncedVar) {
-    console.log(`[OverlayAnimator:${this.type}] onLoading`);
+    this.log.debug("onLoading");
   }
 
   /**
    * Called when entering the "visible" phase.
    */
   onVisible(_syncedVar) {
-    console.log(`[OverlayAnimator:${this.type}] onVisible`);
+    this.log.debug("onVisible");
     this.js.removeClass(this.el, "invisible");
   }
 
@@ -259,7 +262,7 @@ export class OverlayAnimator {
    * Called when entering the "exiting" phase.
    */
   onExiting(_syncedVar) {
-    console.log(`[OverlayAnimator:${this.type}] onExiting`);
+    this.log.debug("onExiting");
 
     // Disable pointer events immediately
     this.js.addClass(this.el, "pointer-events-none");
@@ -289,7 +292,7 @@ export class OverlayAnimator {
    * Called when async data arrives.
    */
   onAsyncReady(_syncedVar) {
-    console.log(`[OverlayAnimator:${this.type}] onAsyncReady`);
+    this.log.debug("onAsyncReady");
   }
 
   /**
@@ -304,8 +307,8 @@ export class OverlayAnimator {
     const loadingVisible =
       loadingContent && !loadingContent.classList.contains("hidden");
 
-    console.log(
-      `[OverlayAnimator:${this.type}] onUpdated: phase=${currentPhase}, mainContentLoaded=${mainContentLoaded}, loadingVisible=${loadingVisible}`
+    this.log.trace(
+      `onUpdated: phase=${currentPhase}, mainContentLoaded=${mainContentLoaded}, loadingVisible=${loadingVisible}`
     );
 
     // Handle content arrival
@@ -336,7 +339,7 @@ export class OverlayAnimator {
    * Called when content arrives while enter animation is still running.
    */
   onContentReadyDuringEnter(syncedVar) {
-    console.log(`[OverlayAnimator:${this.type}] onContentReadyDuringEnter`);
+    this.log.debug("onContentReadyDuringEnter");
     this._transitionToContent(syncedVar);
   }
 
@@ -349,8 +352,8 @@ export class OverlayAnimator {
     const loadingContent = this.getLoadingContent();
 
     if (!this.panelContent || !mainInnerEl) {
-      console.log(
-        `[OverlayAnimator:${this.type}] _transitionToContent: missing elements`
+      this.log.debug(
+        `_transitionToContent: missing elements`
       );
       return;
     }
@@ -371,14 +374,14 @@ export class OverlayAnimator {
     const currentWidth = parseFloat(computedStyle.width);
     const currentHeight = parseFloat(computedStyle.height);
 
-    console.log(
-      `[OverlayAnimator:${this.type}] _transitionToContent: transform=${currentTransform}, opacity=${currentOpacity}`
+    this.log.trace(
+      `_transitionToContent: transform=${currentTransform}, opacity=${currentOpacity}`
     );
-    console.log(
-      `[OverlayAnimator:${this.type}] _transitionToContent: wrapper.class="${this.el.className}", panel.class="${this.panelContent.className}"`
+    this.log.trace(
+      `_transitionToContent: wrapper.class="${this.el.className}", panel.class="${this.panelContent.className}"`
     );
-    console.log(
-      `[OverlayAnimator:${this.type}] _transitionToContent: mainContent.class="${mainContent?.className}", mainContent.hidden=${mainContent?.classList.contains('hidden')}`
+    this.log.trace(
+      `_transitionToContent: mainContent.class="${mainContent?.className}", mainContent.hidden=${mainContent?.classList.contains('hidden')}`
     );
 
     // Freeze panel
@@ -539,8 +542,8 @@ export class OverlayAnimator {
 
     // Skip if element has zero dimensions (hidden, not laid out, or stale response)
     if (rect.width === 0 || rect.height === 0) {
-      console.log(
-        `[OverlayAnimator:${this.type}] createGhostBeforePatch: skipping - element has zero dimensions`
+      this.log.debug(
+        `createGhostBeforePatch: skipping - element has zero dimensions`
       );
       return;
     }
@@ -646,8 +649,8 @@ export class OverlayAnimator {
 
     // Skip if panel has zero dimensions (edge case - shouldn't happen normally)
     if (rect.width === 0 || rect.height === 0) {
-      console.log(
-        `[OverlayAnimator:${this.type}] _setupGhostElementAnimation: skipping - panel has zero dimensions`
+      this.log.debug(
+        `_setupGhostElementAnimation: skipping - panel has zero dimensions`
       );
       return;
     }
@@ -758,7 +761,7 @@ export class OverlayAnimator {
   // --- DOM Reset ---
 
   _resetDOM() {
-    console.log(`[OverlayAnimator:${this.type}] _resetDOM`);
+    this.log.debug("_resetDOM");
 
     this._sizeLockApplied = false;
     this._loadingFadedOut = false;
@@ -0,0 +1,221 @@
+/**
+ * Client-side persistence for Lavash socket state.
+ *
+ * Socket state (`from: :socket`) lives in memory and is sent back to the server
+ * as `_lavash_state` on every join. StateStorage mirrors that blob into a
+ * storage backend so it also survives full page reloads and new tabs.
+ *
+ * Usage:
+ *
+ *   const storage = new StateStorage({ adapter: "local", ttl: 3600_000, version: "2" });
+ *   await storage.load(); // returns the stored state or null
+ *   storage.save(state);
+ *
+ * Adapters implement the Web Storage subset `getItem/setItem/removeItem`.
+ * Methods may return Promises (the IndexedDB adapter does), in which case
+ * `load()` resolves asynchronously.
+ *
+ * Stored blobs have the shape `{ v: version, t: savedAt, state: {...} }`.
+ * Blobs written with a different schema version, or older than `ttl`, are
+ * deleted on load and never returned.
+ */
+
+import { createLogger } from "./debug.js";
+
+const DEFAULT_PREFIX = "lavash:";
+const log = createLogger("store", "Lavash");
+
+// --- Adapters ---
+
+/**
+ * Wrap a Web Storage object (sessionStorage/localStorage).
+ * Falls back to a no-op adapter when storage is unavailable (private mode, SSR).
+ */
+function webStorageAdapter(getStorage) {
+  let storage = null;
+  try {
+    storage = getStorage();
+    // Probe - Safari private mode throws on setItem
+    const probe = `${DEFAULT_PREFIX}__probe__`;
+    storage.setItem(probe, "1");
+    storage.removeItem(probe);
+  } catch (e) {
+    storage = null;
+  }
+
+  return {
+    getItem: (key) => storage ? storage.getItem(key) : null,
+    setItem: (key, value) => storage?.setItem(key, value),
+    removeItem: (key) => storage?.removeItem(key)
+  };
+}
+
+/**
+ * IndexedDB adapter. All methods return Promises.
+ *
+ * @param {Object} options
+ * @param {string} options.dbName - Database name (default: "lavash")
+ * @param {string} options.storeName - Object store name (default: "state")
+ */
+export function indexedDBAdapter({ dbName = "lavash", storeName = "state" } = {}) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB not available"));
+          return;
+        }
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = (mode, fn) =>
+    open().then((db) => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    }));
+
+  return {
+    getItem: (key) => run("readonly", (store) => store.get(key)).then((v) => v ?? null),
+    setItem: (key, value) => run("readwrite", (store) => store.put(value, key)),
+    removeItem: (key) => run("readwrite", (store) => store.delete(key))
+  };
+}
+
+/**
+ * Built-in adapters, selectable by name in StateStorage options.
+ */
+export const storageAdapters = {
+  session: () => webStorageAdapter(() => window.sessionStorage),
+  local: () => webStorageAdapter(() => window.localStorage),
+  indexeddb: (options) => indexedDBAdapter(options)
+};
+
+/**
+ * Default namespace: the first Lavash LiveView module rendered on the page
+ * (available in the dead render, before LiveSocket connects) plus the path.
+ */
+function defaultNamespace(location) {
+  const root = document.querySelector("[data-lavash-module]");
+  const view = root?.dataset.lavashModule || "page";
+  return `${view}:${location.pathname}`;
+}
+
+// --- StateStorage ---
+
+export class StateStorage {
+  /**
+   * @param {Object} options
+   * @param {string|Object} options.adapter - "session" | "local" | "indexeddb" or a custom
+   *   adapter implementing getItem/setItem/removeItem (sync or Promise-returning)
+   * @param {number} options.ttl - Max age in ms before a stored blob is discarded (default: none)
+   * @param {string|number} options.version - Schema version; blobs with another version are discarded
+   * @param {Function} options.namespace - (location) => string, scopes the storage key
+   * @param {string} options.prefix - Storage key prefix (default: "lavash:")
+   */
+  constructor(options = {}) {
+    const adapter = options.adapter || "session";
+
+    if (typeof adapter === "string") {
+      const factory = storageAdapters[adapter];
+      if (!factory) {
+        throw new Error(`[Lavash] Unknown storage adapter "${adapter}"`);
+      }
+      this.adapter = factory(options);
+    } else {
+      this.adapter = adapter;
+    }
+
+    this.ttl = options.ttl ?? null;
+    this.version = options.version ?? 1;
+    this.namespace = options.namespace || defaultNamespace;
+    this.prefix = options.prefix ?? DEFAULT_PREFIX;
+  }
+
+  /**
+   * Storage key for the current page.
+   */
+  key() {
+    return this.prefix + this.namespace(window.location);
+  }
+
+  /**
+   * Read the stored state for the current page (or another key).
+   * Returns the state object, or null if missing, expired or from another schema version.
+   * Returns a Promise when the adapter is asynchronous.
+   */
+  load(key = this.key()) {
+    const raw = this.adapter.getItem(key);
+
+    if (raw && typeof raw.then === "function") {
+      return raw.then((value) => this._decode(key, value)).catch(() => null);
+    }
+    return this._decode(key, raw);
+  }
+
+  /**
+   * Persist state for the current page (or another key).
+   */
+  save(state, key = this.key()) {
+    const blob = JSON.stringify({ v: this.version, t: Date.now(), state });
+    try {
+      const result = this.adapter.setItem(key, blob);
+      result?.catch?.((e) => log.warn("Failed to persist state:", e));
+    } catch (e) {
+      // Quota exceeded or storage disabled - persistence is best-effort
+      log.warn("Failed to persist state:", e);
+    }
+  }
+
+  /**
+   * Remove stored state for the current page (or another key).
+   */
+  clear(key = this.key()) {
+    try {
+      this.adapter.removeItem(key)?.catch?.(() => {});
+    } catch (e) {
+      // Ignore - nothing to clear
+    }
+  }
+
+  _decode(key, raw) {
+    if (raw == null) return null;
+
+    let blob;
+    try {
+      blob = JSON.parse(raw);
+    } catch (e) {
+      this._remove(key);
+      return null;
+    }
+
+    const stale =
+      !blob ||
+      blob.v !== this.version ||
+      (this.ttl != null && Date.now() - (blob.t || 0) > this.ttl);
+
+    if (stale) {
+      this._remove(key);
+      return null;
+    }
+
+    return blob.state || null;
+  }
+
+  _remove(key) {
+    try {
+      this.adapter.removeItem(key)?.catch?.(() => {});
+    } catch (e) {
+      // Ignore
+    }
+  }
+}
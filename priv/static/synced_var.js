@@ -40,6 +40,10 @@
  * - onTransitionEnd(syncedVar) - enter animation completed
  */
 
+import { createLogger } from "./debug.js";
+
+const log = createLogger("animation", "SyncedVar");
+
 // --- Phase State Classes ---
 
 class Phase {
@@ -288,6 +292,31 @@ export class SyncedVar {
     this.onChange?.(serverValue, this.value, "confirmed");
   }
 
+  /**
+   * Acknowledge that the server applied the operation made at `version`.
+   * Only confirms if no newer optimistic operation has happened since.
+   * @returns true if the var is now confirmed
+   */
+  acknowledge(version) {
+    if (version !== this.version) return false;
+    this.confirmedVersion = version;
+    this.confirmedValue = this.value;
+    return true;
+  }
+
+  /**
+   * Revert to the last confirmed value (server rejected or never answered).
+   * Clears the pending state so the next server patch is accepted.
+   */
+  rollback() {
+    const oldValue = this.value;
+    this.value = this.confirmedValue;
+    this.confirmedVersion = this.version;
+    if (oldValue !== this.value) {
+      this._handleValueChange(this.value, oldValue, "rollback");
+    }
+  }
+
   /**
    * Whether there are pending operations not yet confirmed by server.
    */
@@ -391,9 +420,7 @@ export class SyncedVar {
     if (!this.animated) return;
 
     const oldPhaseName = this._currentPhase ? this._currentPhase.name : "initial";
-    console.debug(
-      `[SyncedVar ${this.animated.field}] ${oldPhaseName} -> ${newPhase.name}`
-    );
+    log.debug(`${this.animated.field}: ${oldPhaseName} -> ${newPhase.name}`);
 
     if (this._currentPhase) {
       this._currentPhase.onExit();
@@ -419,10 +446,7 @@ export class SyncedVar {
     try {
       this._delegate?.[methodName]?.(this);
     } catch (e) {
-      console.error(
-        `[SyncedVar ${this.animated.field}] Delegate ${methodName} error:`,
-        e
-      );
+      log.error(`${this.animated.field}: Delegate ${methodName} error:`, e);
     }
   }
 }
@@ -483,6 +507,32 @@ export class SyncedVarStore {
     return this.vars[path]?.isPending ?? false;
   }
 
+  /**
+   * Snapshot current versions for paths (and their nested children).
+   * Pass the result to acknowledge() once the server has applied the change.
+   * @param paths - Top-level fields or dotted paths
+   * @returns {Object} path -> version
+   */
+  versionsOf(paths) {
+    const versions = {};
+    for (const [path, syncedVar] of Object.entries(this.vars)) {
+      if (paths.some((p) => path === p || path.startsWith(p + "."))) {
+        versions[path] = syncedVar.version;
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * Acknowledge versions captured with versionsOf().
+   * Paths modified again since the snapshot stay pending.
+   */
+  acknowledge(versions) {
+    for (const [path, version] of Object.entries(versions)) {
+      this.vars[path]?.acknowledge(version);
+    }
+  }
+
   /**
    * Build a nested state object from all SyncedVar values.
    */
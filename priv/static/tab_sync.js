@@ -0,0 +1,58 @@
+/**
+ * Cross-tab state sync for fields declared with sync: :tabs.
+ *
+ * Tabs showing the same LiveView (same module and route params) share a
+ * BroadcastChannel. When the server confirms a change to a synced field, the
+ * tab posts the confirmed value; the other tabs apply it like a server patch
+ * (SyncedVar.serverSet), so their own pending edits win.
+ *
+ *   const sync = new TabSync("MyAppWeb.ProductsLive?id=42", (values) => { ... });
+ *   sync.post({ view_mode: "grid" });
+ *   sync.close();
+ *
+ * Without BroadcastChannel (old browsers) posting and receiving do nothing.
+ */
+
+import { createLogger } from "./debug.js";
+
+const log = createLogger("store");
+
+const CHANNEL_PREFIX = "lavash:";
+
+export class TabSync {
+  /**
+   * @param {string} key - Channel key (module and params)
+   * @param {Function} onValues - Called with {field: value} posted by another tab
+   */
+  constructor(key, onValues) {
+    this.key = key;
+    this.channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_PREFIX + key) : null;
+
+    if (this.channel) {
+      this.channel.onmessage = (e) => {
+        log.debug(`received from another tab (${key})`, e.data.values);
+        onValues(e.data.values);
+      };
+    }
+  }
+
+  /**
+   * Post confirmed values to the other tabs.
+   *
+   * @param {Object} values - Field -> value (must be structured-cloneable)
+   */
+  post(values) {
+    if (!this.channel || Object.keys(values).length === 0) return;
+    log.debug(`posting to other tabs (${this.key})`, values);
+    try {
+      this.channel.postMessage({ values });
+    } catch (e) {
+      log.warn("Could not post state to other tabs:", e);
+    }
+  }
+
+  close() {
+    this.channel?.close();
+    this.channel = null;
+  }
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mountHook, tick } from "./helpers.js";
+import { LavashOptimistic } from "../lavash_optimistic.js";
+
+function setCount(hook, value) {
+  hook.store.get("count", hook.state.count).setOptimistic(value);
+  hook.state.count = value;
+  hook.pushAction("set_count", { value }, { fields: ["count"] });
+}
+
+test("a replay resent after a disconnect settles once, on the resend's reply", async () => {
+  const { hook, pushes, live } = mountHook(LavashOptimistic, {
+    state: { count: 1 },
+    data: { lavashReplyTimeout: "20" },
+    connected: false
+  });
+  const rollbacks = [];
+  hook.el.addEventListener("lavash:rollback", (e) => rollbacks.push(e.detail));
+
+  setCount(hook, 2);
+  assert.equal(hook.actionQueue.size, 1);
+
+  live.connected = true;
+  hook.reconnected();
+  live.connected = false;
+  hook.disconnected();
+  live.connected = true;
+  hook.reconnected();
+
+  assert.deepEqual(pushes.map(p => p.event), ["set_count", "set_count"]);
+  assert.equal(hook.inFlightActions.set_count, 1);
+
+  // The first send's reply never comes; its timer must not settle the resend
+  pushes[1].reply({});
+  await tick(40);
+
+  assert.deepEqual(rollbacks, []);
+  assert.equal(hook.state.count, 2);
+  assert.equal(hook.actionQueue.size, 0);
+  assert.deepEqual(hook.inFlightActions, {});
+});
+
+test("a send in flight when the socket drops is rolled back once", async () => {
+  const { hook, pushes } = mountHook(LavashOptimistic, {
+    state: { count: 1 },
+    data: { lavashReplyTimeout: "20" }
+  });
+  const rollbacks = [];
+  hook.el.addEventListener("lavash:rollback", (e) => rollbacks.push(e.detail.reason));
+
+  setCount(hook, 2);
+  hook.disconnected();
+  pushes[0].reply({});
+  await tick(40);
+
+  assert.deepEqual(rollbacks, ["disconnected"]);
+  assert.equal(hook.state.count, 1);
+  assert.deepEqual(hook.inFlightActions, {});
+});
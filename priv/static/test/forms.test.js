@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mountHook } from "./helpers.js";
+import { LavashOptimistic } from "../lavash_optimistic.js";
+
+const SIGNUP = `
+  <form id="signup-form">
+    <input name="signup[name]" data-lavash-bind="signup_params.name" value="Ada">
+  </form>
+`;
+
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+test("reset restores the params from mount, also after a successful submit", () => {
+  const { hook } = mountHook(LavashOptimistic, { state: { signup_params: { name: "Ada" } }, html: SIGNUP });
+  const input = hook.el.querySelector("input");
+
+  type(input, "Bob");
+  hook.handleSubmitResult({ form: "signup", ok: true });
+  assert.equal(hook.state.signup_dirty, false);
+
+  hook.resetForm("signup");
+
+  assert.equal(hook.state.signup_params.name, "Ada");
+  assert.equal(input.value, "Ada");
+});
+
+test("a rejected reset brings back the values from before the reset", () => {
+  const { hook, pushes } = mountHook(LavashOptimistic, { state: { signup_params: { name: "Ada" } }, html: SIGNUP });
+  const input = hook.el.querySelector("input");
+
+  // Patched in by the server since mount
+  hook.state.signup_params = { name: "Bob" };
+  input.value = "Bob";
+  assert.equal(hook.store.has("signup_params.name"), false);
+
+  hook.resetForm("signup");
+  assert.equal(hook.state.signup_params.name, "Ada");
+  assert.equal(pushes.at(-1).event, "validate_signup");
+
+  pushes.at(-1).reply({ error: "rejected" });
+
+  assert.equal(hook.state.signup_params.name, "Bob");
+  assert.equal(hook.store.get("signup_params.name").value, "Bob");
+});
+
+test("error summaries label fields without scanning the bound inputs", () => {
+  const { hook } = mountHook(LavashOptimistic, {
+    state: {
+      signup_params: { name: "A", email: "" },
+      signup_name_errors: ["is too short"],
+      signup_email_errors: ["is required"]
+    },
+    html: `
+      <form id="signup-form">
+        <div data-lavash-error-summary="signup"></div>
+        <label for="name">Full name</label>
+        <input id="name" data-lavash-bind="signup_params.name" value="A">
+        <input data-lavash-bind="signup_params.email" data-lavash-label="Email address">
+      </form>
+    `
+  });
+  hook.submittedForms.add("signup");
+  hook.getDomIndex();
+
+  const scanned = [];
+  const querySelectorAll = hook.el.querySelectorAll.bind(hook.el);
+  hook.el.querySelectorAll = (selector) => {
+    scanned.push(selector);
+    return querySelectorAll(selector);
+  };
+  hook.updateDOM();
+
+  const items = [...hook.el.querySelectorAll("[data-lavash-error-summary] li")].map(li => li.textContent);
+  assert.deepEqual(items.sort(), ["Email address: is required", "Full name: is too short"]);
+  assert.deepEqual(scanned.filter(selector => selector.includes("data-lavash-bind")), []);
+});
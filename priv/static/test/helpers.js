@@ -0,0 +1,70 @@
+/**
+ * Test helpers: a jsdom window installed as the global one, and a
+ * LavashOptimistic hook mounted on it with a fake LiveView.
+ *
+ * Import this before any Lavash module (they touch window on load):
+ *
+ *   import { mountHook } from "./helpers.js";
+ *   import { LavashOptimistic } from "../lavash_optimistic.js";
+ */
+
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", { url: "http://localhost/" });
+
+for (const name of [
+  "window", "document", "location", "history", "localStorage", "sessionStorage", "navigator",
+  "Node", "HTMLElement", "HTMLInputElement", "HTMLFormElement", "CustomEvent", "Event",
+  "MutationObserver", "CSS", "requestAnimationFrame", "getComputedStyle"
+]) {
+  if (dom.window[name] !== undefined) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+}
+globalThis.window.requestAnimationFrame ??= (fn) => setTimeout(fn, 0);
+globalThis.requestAnimationFrame ??= globalThis.window.requestAnimationFrame;
+globalThis.window.CSS ??= { escape: (text) => String(text).replace(/["\\]/g, "\\$&") };
+globalThis.CSS ??= globalThis.window.CSS;
+// jsdom doesn't scroll
+globalThis.window.HTMLElement.prototype.scrollIntoView ??= function() {};
+
+/**
+ * Mount a hook on a fresh root element.
+ *
+ * @param {Object} hookObject - The hook (LavashOptimistic)
+ * @param {Object} options
+ * @param {Object} options.state - data-lavash-state
+ * @param {string} options.html - Markup inside the root
+ * @param {Object} options.data - Other data-lavash-* attributes of the root (camelCase keys)
+ * @param {boolean} options.connected - What liveSocket.isConnected() returns (changeable later)
+ * @returns {{hook, pushes, live}} pushes records pushEventTo calls as { event, payload, reply }
+ */
+export function mountHook(hookObject, { state = {}, html = "", data = {}, connected = true } = {}) {
+  document.body.innerHTML = "";
+  const el = document.createElement("div");
+  el.id = `lavash-root-${Math.random().toString(36).slice(2)}`;
+  el.setAttribute("phx-hook", "LavashOptimistic");
+  el.dataset.lavashState = JSON.stringify(state);
+  for (const [key, value] of Object.entries(data)) {
+    el.dataset[key] = typeof value === "string" ? value : JSON.stringify(value);
+  }
+  el.innerHTML = html;
+  document.body.append(el);
+
+  const live = { connected };
+  const pushes = [];
+  const hook = Object.create(hookObject);
+  hook.el = el;
+  hook.liveSocket = { domCallbacks: {}, isConnected: () => live.connected };
+  hook.handleEvent = () => {};
+  hook.pushEventTo = (target, event, payload, reply) => pushes.push({ target, event, payload, reply });
+  hook.pushEvent = (event, payload, reply) => pushes.push({ target: el, event, payload, reply });
+  hook.mounted();
+
+  return { hook, pushes, live };
+}
+
+// Resolve after pending timers and microtasks (MutationObserver callbacks included)
+export function tick(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
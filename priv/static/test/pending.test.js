@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mountHook, tick } from "./helpers.js";
+import { LavashOptimistic } from "../lavash_optimistic.js";
+
+const INDICATORS = `
+  <span id="count" data-lavash-pending="count"></span>
+  <button id="save" data-lavash-pending-action="set_count"></button>
+  <div phx-hook="Child"><span id="child" data-lavash-pending="count"></span></div>
+`;
+
+function setCount(hook, value) {
+  hook.store.get("count", hook.state.count).setOptimistic(value);
+  hook.state.count = value;
+  hook.pushAction("set_count", { value }, { fields: ["count"] });
+}
+
+test("pending fields and actions mark their indicators busy until the reply", () => {
+  const { hook, pushes } = mountHook(LavashOptimistic, { state: { count: 1 }, html: INDICATORS });
+  const count = hook.el.querySelector("#count");
+  const save = hook.el.querySelector("#save");
+
+  setCount(hook, 2);
+  assert.equal(count.getAttribute("aria-busy"), "true");
+  assert.equal(save.getAttribute("aria-busy"), "true");
+  assert.ok(count.classList.contains("lavash-pending"));
+  // Child hooks manage their own indicators
+  assert.equal(hook.el.querySelector("#child").getAttribute("aria-busy"), null);
+
+  pushes[0].reply({});
+  assert.equal(count.getAttribute("aria-busy"), null);
+  assert.equal(save.getAttribute("aria-busy"), null);
+});
+
+test("indicators come from the DOM index instead of scanning the hook", async () => {
+  const { hook } = mountHook(LavashOptimistic, { state: { count: 1 }, html: INDICATORS });
+  hook.updateDOM();
+
+  let scans = 0;
+  const querySelectorAll = hook.el.querySelectorAll.bind(hook.el);
+  hook.el.querySelectorAll = (selector) => {
+    scans++;
+    return querySelectorAll(selector);
+  };
+  hook.updatePendingIndicators();
+  hook.updateDOM(["count"]);
+  assert.equal(scans, 0);
+
+  // Indicators added later are picked up once the index is rebuilt
+  hook.el.insertAdjacentHTML("beforeend", `<span id="late" data-lavash-pending="count"></span>`);
+  await tick();
+  setCount(hook, 2);
+  assert.equal(hook.el.querySelector("#late").getAttribute("aria-busy"), "true");
+});
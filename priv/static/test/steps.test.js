@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mountHook } from "./helpers.js";
+import { LavashOptimistic } from "../lavash_optimistic.js";
+
+const WIZARD = `
+  <form data-lavash-steps="step">
+    <section data-lavash-step="1"><button type="button" data-lavash-step-next>Next</button></section>
+    <section data-lavash-step="2"><button type="button" data-lavash-step-prev>Back</button></section>
+  </form>
+`;
+
+test("a rejected step change returns the wizard to the step it left", () => {
+  const { hook, pushes } = mountHook(LavashOptimistic, { state: { step: 1 }, html: WIZARD });
+  const container = hook.el.querySelector("[data-lavash-steps]");
+
+  hook.moveStep(container, 1);
+  assert.equal(hook.state.step, 2);
+  assert.equal(pushes.at(-1).event, "set_step");
+
+  pushes.at(-1).reply({ error: "rejected" });
+
+  assert.equal(hook.state.step, 1);
+  assert.equal(container.dataset.lavashStepCurrent, "1");
+});
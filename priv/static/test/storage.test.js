@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { tick } from "./helpers.js";
+import { configureStorage, lavashState } from "../lavash.js";
+
+// In-memory adapter; with `deferred`, getItem waits until release() is called
+function memoryAdapter(items = {}, { deferred = false } = {}) {
+  const pending = [];
+  const adapter = {
+    items,
+    writes: [],
+    getItem(key) {
+      if (!deferred) return items[key] ?? null;
+      return new Promise((resolve) => pending.push(() => resolve(items[key] ?? null)));
+    },
+    setItem(key, value) {
+      adapter.writes.push(key);
+      items[key] = value;
+    },
+    removeItem(key) {
+      delete items[key];
+    },
+    release: () => pending.splice(0).forEach((resolve) => resolve())
+  };
+  return adapter;
+}
+
+const blob = (state) => JSON.stringify({ v: 1, t: Date.now(), state });
+
+function sync(state) {
+  window.dispatchEvent(new CustomEvent("phx:_lavash_sync", { detail: state }));
+}
+
+// lavashState is page-global; start each test from an empty one
+function resetState() {
+  for (const key of Object.keys(lavashState)) delete lavashState[key];
+  lavashState._components = {};
+}
+
+function showPage(module, path) {
+  document.body.innerHTML = `<div data-lavash-module="${module}"></div>`;
+  history.pushState(null, "", path);
+}
+
+test("syncs during an asynchronous load are kept and saved after it", async () => {
+  resetState();
+  showPage("App.ProductsLive", "/products");
+  const adapter = memoryAdapter(
+    { "lavash:App.ProductsLive:/products": blob({ view_mode: "list", page_size: 50 }) },
+    { deferred: true }
+  );
+
+  const hydrated = configureStorage({ adapter });
+  sync({ view_mode: "grid" });
+  await tick();
+  assert.deepEqual(adapter.writes, []);
+
+  adapter.release();
+  await hydrated;
+  await tick();
+
+  assert.equal(lavashState.view_mode, "grid");
+  assert.equal(lavashState.page_size, 50);
+  assert.deepEqual(JSON.parse(adapter.items["lavash:App.ProductsLive:/products"]).state.view_mode, "grid");
+});
+
+test("live navigation switches to the new page's stored state and key", async () => {
+  resetState();
+  showPage("App.ProductsLive", "/products");
+  const adapter = memoryAdapter({
+    "lavash:App.ProductsLive:/products": blob({ view_mode: "list" }),
+    "lavash:App.OrdersLive:/orders": blob({ page_size: 25 })
+  });
+  await configureStorage({ adapter });
+  assert.equal(lavashState.view_mode, "list");
+
+  showPage("App.OrdersLive", "/orders");
+  window.dispatchEvent(new CustomEvent("phx:page-loading-stop", { detail: { kind: "redirect" } }));
+  await tick();
+
+  assert.equal(lavashState.view_mode, undefined);
+  assert.equal(lavashState.page_size, 25);
+
+  sync({ page_size: 100 });
+  await tick();
+
+  assert.deepEqual(JSON.parse(adapter.items["lavash:App.OrdersLive:/orders"]).state, { page_size: 100, _components: {} });
+  assert.deepEqual(JSON.parse(adapter.items["lavash:App.ProductsLive:/products"]).state, { view_mode: "list" });
+});
@@ -0,0 +1,175 @@
+/**
+ * UI configuration for the feedback LavashOptimistic renders itself: error
+ * messages, the error summary, status indicators, invalid inputs, disabled
+ * buttons and hidden elements.
+ *
+ * Defaults match the DaisyUI/Tailwind classes of the bundled components.
+ * Change them globally:
+ *
+ *   Lavash.configure({
+ *     classes: { error: "field-error", inputInvalid: "is-invalid", hidden: "is-hidden" },
+ *     text: { summaryTitle: "Please check the highlighted fields" },
+ *     templates: { error: '<li class="error"><span data-lavash-slot="message"></span></li>' }
+ *   });
+ *
+ * or per element (and everything inside it) with JSON in data-lavash-classes:
+ *
+ *   <form data-lavash-classes='{"inputInvalid": "is-invalid"}'>
+ *
+ * Templates are HTML strings, or <template data-lavash-error-template="name">
+ * elements inside the container (or any ancestor up to the hook root) that
+ * renders them. Template names:
+ * - error: one field error (data-lavash-errors); the attribute value may be empty
+ * - summary: wrapper of the error summary; items go into [data-lavash-slot="errors"]
+ * - summary-item: one error in the summary
+ * - status-idle, status-validating, status-valid, status-invalid: data-lavash-status markup
+ *
+ * Inside a template, [data-lavash-slot="message"] receives the error text and
+ * [data-lavash-slot="label"] the field label. A template without slots gets
+ * the message as the text of its root element.
+ */
+
+export const DEFAULT_CLASSES = {
+  // Added to hide elements (data-lavash-visible, empty errors/summary)
+  hidden: "hidden",
+  // Added while data-lavash-enabled is false
+  disabled: "opacity-60 cursor-not-allowed",
+  // Server-rendered disabled styling, removed once enabled
+  disabledRendered: "btn-disabled",
+  // Bound inputs showing errors / not showing errors
+  inputInvalid: "input-error",
+  inputValid: "",
+  // One field error message
+  error: "text-error text-sm",
+  // Error summary heading and list
+  summaryTitle: "font-semibold text-red-700 mb-2",
+  summaryList: "list-disc list-inside space-y-1",
+  // data-lavash-status element while invalid
+  statusInvalid: "text-red-500"
+};
+
+export const DEFAULT_TEXT = {
+  summaryTitle: "Please fix the following errors:",
+  // Confirmation for live navigation away from unsaved changes (data-lavash-dirty-guard)
+  dirtyGuard: "You have unsaved changes. Leave this page anyway?"
+};
+
+let config = { classes: { ...DEFAULT_CLASSES }, text: { ...DEFAULT_TEXT }, templates: {} };
+
+/**
+ * Merge settings into the global configuration.
+ *
+ * @param {Object} options
+ * @param {Object} options.classes - Class names by key (see DEFAULT_CLASSES)
+ * @param {Object} options.text - Built-in strings (summaryTitle, dirtyGuard)
+ * @param {Object} options.templates - HTML strings by template name
+ */
+export function configure({ classes = {}, text = {}, templates = {} } = {}) {
+  config = {
+    classes: { ...config.classes, ...classes },
+    text: { ...config.text, ...text },
+    templates: { ...config.templates, ...templates }
+  };
+}
+
+export function configuredText(key) {
+  return config.text[key];
+}
+
+function elementClasses(el) {
+  const source = el?.closest?.("[data-lavash-classes]");
+  if (!source) return null;
+  try {
+    return JSON.parse(source.dataset.lavashClasses);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Class names for a key as an array, honoring data-lavash-classes on the
+ * element or its ancestors.
+ */
+export function classesFor(el, key) {
+  const value = elementClasses(el)?.[key] ?? config.classes[key] ?? "";
+  return value.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Add or remove the classes for a key.
+ */
+export function toggleClasses(el, key, on) {
+  const classes = classesFor(el, key);
+  if (classes.length > 0) {
+    el.classList[on ? "add" : "remove"](...classes);
+  }
+}
+
+/**
+ * Show or hide an element with the configured hidden class.
+ */
+export function setHidden(el, hidden) {
+  toggleClasses(el, "hidden", hidden);
+}
+
+/**
+ * Find a template: a <template data-lavash-error-template="name"> child of el
+ * or an ancestor up to root, then the globally configured HTML.
+ *
+ * @returns {HTMLTemplateElement|null}
+ */
+export function findTemplate(el, name, root = null) {
+  const selector = name === "error"
+    ? ':scope > template[data-lavash-error-template=""], :scope > template[data-lavash-error-template="error"]'
+    : `:scope > template[data-lavash-error-template="${name}"]`;
+
+  for (let node = el; node; node = node.parentElement) {
+    const found = node.querySelector(selector);
+    if (found) return found;
+    if (node === root) break;
+  }
+
+  const html = config.templates[name];
+  return html == null ? null : templateFromHTML(html);
+}
+
+export function templateFromHTML(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return template;
+}
+
+/**
+ * Clone a template and fill its slots.
+ *
+ * @param {HTMLTemplateElement} template
+ * @param {Object} slots - Slot name -> text (e.g., { message, label })
+ * @returns {DocumentFragment}
+ */
+export function renderTemplate(template, slots) {
+  const fragment = template.content.cloneNode(true);
+  let filled = false;
+
+  for (const [name, text] of Object.entries(slots)) {
+    for (const target of fragment.querySelectorAll(`[data-lavash-slot="${name}"]`)) {
+      target.textContent = text ?? "";
+      filled = true;
+    }
+  }
+
+  if (!filled && slots.message != null) {
+    const root = fragment.firstElementChild;
+    if (root) root.textContent = slots.message;
+  }
+  return fragment;
+}
+
+/**
+ * Replace an element's rendered content, keeping its <template> children.
+ */
+export function replaceContent(el, nodes) {
+  for (const child of [...el.childNodes]) {
+    if (child.tagName !== "TEMPLATE") child.remove();
+  }
+  el.append(...nodes);
+}
@@ -1,56 +1,255 @@
 /**
  * URL synchronization utilities for Lavash optimistic state.
  *
- * Handles bidirectional sync between Lavash state and browser URL query parameters,
- * using Elixir-style array encoding (field[]=val1&field[]=val2).
+ * Handles bidirectional sync between Lavash state and the browser URL,
+ * using Elixir-style array encoding (field[]=val1&field[]=val2) for untyped
+ * arrays. Values of fields with a type descriptor go through the codecs in
+ * url_types.js, so the URL reads the way Lavash.Type.dump/2 would write it
+ * (typed arrays as field=val1,val2).
+ *
+ * A field lives in one part of the URL:
+ * - path: its key is a segment of the route pattern ("/products/:category")
+ * - hash: declared with hash: true ("#panel=filters"), never seen by the server
+ * - query: everything else
  */
 
+import { createLogger } from "./debug.js";
+import { encodeUrlValue, decodeUrlValue } from "./url_types.js";
+
+const log = createLogger("url");
+
+// A change within this many ms of the previous pushed change to the same
+// fields updates that history entry instead of adding another (typing into a
+// URL-bound search box)
+export const DEFAULT_HISTORY_COALESCE = 1000;
+
+// Query string parts for one field ("tags[]=a", "tags[]=b" / "tags=a,b" / "page=2")
+function encodeField(key, value, type = null) {
+  const encoded = encodeUrlValue(type, value);
+  if (Array.isArray(encoded)) {
+    // Elixir-style array params: key[]=val1&key[]=val2
+    return encoded.map(v => `${encodeURIComponent(key)}[]=${encodeURIComponent(v)}`);
+  }
+  return encoded === null ? [] : [`${encodeURIComponent(key)}=${encodeURIComponent(encoded)}`];
+}
+
+// Param names of a route pattern ("/products/:category/:id" -> ["category", "id"])
+function routeParams(route) {
+  return route ? route.split("/").filter(seg => seg.startsWith(":")).map(seg => seg.slice(1)) : [];
+}
+
+// Path segment values by param name, or null when the path doesn't follow the
+// route (or a segment isn't valid percent-encoding)
+function matchRoute(route, pathname) {
+  const patternSegs = route.split("/");
+  const pathSegs = pathname.split("/");
+  if (patternSegs.length !== pathSegs.length || route.includes("*")) return null;
+
+  const values = {};
+  for (const [i, seg] of patternSegs.entries()) {
+    if (!seg.startsWith(":")) continue;
+    try {
+      values[seg.slice(1)] = decodeURIComponent(pathSegs[i]);
+    } catch (e) {
+      return null;
+    }
+  }
+  return values;
+}
+
+// Pathname with the given param values put into the route's segments. Params
+// without a (non-empty) value keep their current segment.
+function buildPath(route, pathname, values) {
+  if (!matchRoute(route, pathname)) return pathname;
+  const pathSegs = pathname.split("/");
+  return route.split("/").map((seg, i) => {
+    const value = seg.startsWith(":") ? values[seg.slice(1)] : undefined;
+    return typeof value === "string" && value !== "" ? encodeURIComponent(value) : pathSegs[i];
+  }).join("/");
+}
+
+// Hash params ("#panel=filters&intro" -> [["panel", "filters"], ["intro", ""]])
+function hashEntries(hash) {
+  return [...new URLSearchParams(hash.replace(/^#/, "")).entries()];
+}
+
+// Which part of the URL each field lives in
+function fieldLocations(urlFields, { keys = {}, route = null, hash = [] }) {
+  const pathKeys = routeParams(route);
+  const locations = {};
+  for (const field of urlFields) {
+    const key = keys[field] || field;
+    locations[field] = pathKeys.includes(key) ? "path" : hash.includes(field) ? "hash" : "query";
+  }
+  return locations;
+}
+
+// Query string parts for a field, or none when the value is the field's default
+// (the server fills in the default for an absent param). An empty value whose
+// default isn't empty is written explicitly ("q=", "tags[]=") so it survives a reload.
+function fieldParams(field, value, { types, keys, defaults }) {
+  const key = keys[field] || field;
+  const type = types[field] ?? null;
+  const encoded = encodeField(key, value, type);
+
+  if (!(field in defaults)) return encoded;
+
+  const defaultEncoded = encodeField(key, defaults[field], type);
+  if (encoded.join("&") === defaultEncoded.join("&")) return [];
+  if (encoded.length === 0 && defaultEncoded.length > 0) {
+    if (Array.isArray(value)) return [`${encodeURIComponent(key)}${type?.array !== undefined ? "" : "[]"}=`];
+    if (value === "" && (type === null || type === "string")) return [`${encodeURIComponent(key)}=`];
+  }
+  return encoded;
+}
+
 /**
  * Sync state fields to browser URL without triggering navigation.
  *
  * @param {Array<string>} urlFields - List of state field names to sync to URL
  * @param {Object} state - Current state object
+ * @param {Object} options
+ * @param {Object} options.history - Field -> "push" for fields declared with history: :push
+ * @param {Object} options.types - Field -> type descriptor (see url_types.js)
+ * @param {Object} options.keys - Field -> query param name, for fields declared with url_key
+ * @param {Object} options.defaults - Field -> default value; defaults are left out of the URL
+ * @param {string} options.route - Route pattern of the page ("/products/:category")
+ * @param {Array<string>} options.hash - Fields kept in location.hash (hash: true)
+ * @param {number} options.coalesce - ms within which pushed changes to the same fields share one entry
+ * @param {Object} options.lastPush - Caller-owned { at, fields } record of the last push, updated here
+ * @returns {"push"|"replace"|null} How the URL was updated, null if unchanged
  *
  * Features:
- * - Uses Elixir-style array params: field[]=val1&field[]=val2
- * - Preserves non-Lavash query parameters
+ * - Uses Elixir-style array params (field[]=val1&field[]=val2) for untyped arrays,
+ *   field=val1,val2 for typed ones
+ * - Encodes typed fields like the server (integers, TypeIDs, dates, ...)
+ * - Writes aliased fields under their url_key (search -> q)
+ * - Rewrites route segments of path fields and params in the hash of hash fields
+ * - Preserves non-Lavash query and hash parameters
  * - Only updates URL if changes detected (prevents unnecessary history entries)
- * - Skips null, undefined, and empty string values
+ * - Skips null, undefined, empty string and default values
+ * - history.pushState when a push field changed, history.replaceState otherwise
  */
-export function syncStateToUrl(urlFields, state) {
-  if (urlFields.length === 0) return;
+export function syncStateToUrl(urlFields, state, {
+  history = {}, types = {}, keys = {}, defaults = {}, route = null, hash = [],
+  coalesce = DEFAULT_HISTORY_COALESCE, lastPush = { at: 0, fields: null }
+} = {}) {
+  if (urlFields.length === 0) return null;
 
   const url = new URL(window.location.href);
+  const fieldOptions = { types, keys, defaults };
+  const locations = fieldLocations(urlFields, { keys, route, hash });
 
   // Build query string manually to avoid URLSearchParams encoding [] as %5B%5D
   const params = [];
+  const hashParams = [];
+  const pathValues = {};
+  const changedFields = [];
+  const currentValues = readStateFromUrl(urlFields, url, { types, keys, route, hash });
+
+  // A field's URL form, to detect which fields changed
+  const serialize = (field, value) => locations[field] === "path"
+    ? JSON.stringify(encodeUrlValue(types[field] ?? null, value))
+    : fieldParams(field, value, fieldOptions).join("&");
 
   for (const field of urlFields) {
-    const value = state[field];
-
-    if (Array.isArray(value)) {
-      // Elixir-style array params: field[]=val1&field[]=val2
-      for (const v of value) {
-        params.push(`${encodeURIComponent(field)}[]=${encodeURIComponent(v)}`);
-      }
-    } else if (value !== null && value !== undefined && value !== "") {
-      params.push(`${encodeURIComponent(field)}=${encodeURIComponent(value)}`);
+    if (locations[field] === "path") {
+      pathValues[keys[field] || field] = encodeUrlValue(types[field] ?? null, state[field]);
+    } else {
+      const encoded = fieldParams(field, state[field], fieldOptions);
+      (locations[field] === "hash" ? hashParams : params).push(...encoded);
+    }
+
+    // An absent param means the default
+    const current = currentValues[field] === undefined && field in defaults ? defaults[field] : currentValues[field];
+    if (serialize(field, current) !== serialize(field, state[field])) {
+      changedFields.push(field);
     }
   }
 
   // Preserve non-lavash params from the current URL
+  const managedKeys = new Set(urlFields.map(field => keys[field] || field));
   for (const [key, val] of url.searchParams.entries()) {
-    // Skip lavash-managed fields (both scalar and array forms)
+    // Skip lavash-managed params (both scalar and array forms)
     const baseKey = key.replace(/\[\]$/, "");
-    if (!urlFields.includes(baseKey)) {
+    if (!managedKeys.has(baseKey)) {
       params.push(`${encodeURIComponent(key)}=${encodeURIComponent(val)}`);
     }
   }
 
+  let newHash = url.hash;
+  if (hash.length > 0) {
+    const hashKeys = new Set(hash.map(field => keys[field] || field));
+    const preserved = hashEntries(url.hash)
+      .filter(([key]) => !hashKeys.has(key.replace(/\[\]$/, "")))
+      // Plain anchors ("#intro") stay without "="
+      .map(([key, val]) => (val === "" ? encodeURIComponent(key) : `${encodeURIComponent(key)}=${encodeURIComponent(val)}`));
+    const parts = [...preserved, ...hashParams];
+    newHash = parts.length > 0 ? `#${parts.join("&")}` : "";
+  }
+
+  const newPath = route ? buildPath(route, url.pathname, pathValues) : url.pathname;
   const newSearch = params.length > 0 ? `?${params.join("&")}` : "";
-  const newUrl = url.origin + url.pathname + newSearch + url.hash;
+  const newUrl = url.origin + newPath + newSearch + newHash;
+
+  if (newUrl === window.location.href) return null;
+
+  const now = Date.now();
+  const wantsPush = changedFields.some(field => history[field] === "push");
+  const pushedFields = changedFields.join(",");
+  const coalesced = wantsPush && now - lastPush.at < coalesce && lastPush.fields === pushedFields;
+  if (wantsPush) {
+    lastPush.at = now;
+    lastPush.fields = pushedFields;
+  }
 
-  if (newUrl !== window.location.href) {
-    window.history.replaceState(window.history.state, "", newUrl);
+  const shown = `${newPath}${newSearch}${newHash}`;
+  if (wantsPush && !coalesced) {
+    log.debug(`pushState ${shown}`);
+    // Keep LiveView's entry state so its own popstate handling treats the entry as a patch
+    window.history.pushState(window.history.state, "", newUrl);
+    return "push";
+  }
+
+  log.debug(`replaceState ${shown}`);
+  window.history.replaceState(window.history.state, "", newUrl);
+  return "replace";
+}
+
+/**
+ * Read URL fields from a URL.
+ *
+ * @param {Array<string>} urlFields - State field names
+ * @param {Location|URL} location - URL to read (default: the current one)
+ * @param {Object} options
+ * @param {Object} options.types - Field -> type descriptor; typed fields are decoded
+ * @param {Object} options.keys - Field -> query param name (default: the field name)
+ * @param {string} options.route - Route pattern; fields named in it are read from the path
+ * @param {Array<string>} options.hash - Fields read from the hash
+ * @returns {Object} Field -> string, array of strings (field[]=...), decoded value for
+ *   typed fields, or undefined when absent (or not parseable as the field's type)
+ */
+export function readStateFromUrl(urlFields, location = window.location, { types = {}, keys = {}, route = null, hash = [] } = {}) {
+  const locations = fieldLocations(urlFields, { keys, route, hash });
+  const searchParams = new URLSearchParams(location.search);
+  const hashParams = new URLSearchParams(location.hash.replace(/^#/, ""));
+  const pathValues = (route && matchRoute(route, location.pathname)) || {};
+  const values = {};
+
+  for (const field of urlFields) {
+    const key = keys[field] || field;
+    const source = locations[field] === "hash" ? hashParams : searchParams;
+
+    if (locations[field] === "path") {
+      values[field] = pathValues[key];
+    } else if (source.has(`${key}[]`)) {
+      values[field] = source.getAll(`${key}[]`);
+    } else if (source.has(key)) {
+      values[field] = source.get(key);
+    } else {
+      values[field] = undefined;
+    }
+    if (types[field]) values[field] = decodeUrlValue(types[field], values[field]);
   }
+  return values;
 }
@@ -0,0 +1,238 @@
+/**
+ * Type-aware URL encoding for URL state fields, matching Lavash.Type on the
+ * server.
+ *
+ * The generated optimistic module ships a descriptor per URL field
+ * (Lavash.Type.js_descriptor/1) as `__url__`:
+ *
+ *   __url__: { page: "integer", owner: { uuid: "user" }, tags: { array: "string" } }
+ *
+ * so optimistic URL updates write what Lavash.Type.dump/2 would, and values
+ * read back from the URL (back/forward) have the shape the server sends:
+ *
+ * - integer, float: 42 <-> "42", 2.0 <-> "2.0"
+ * - boolean: true <-> "true" (decodes "1"/"0" too)
+ * - string, atom: as is
+ * - uuid: "01890a5d-..." <-> 26-char TypeID suffix (base32)
+ * - { uuid: prefix }: "01890a5d-..." <-> "prefix_01h455vb4pex5vsknk084sn02q"
+ * - date, datetime: ISO 8601 strings ("2024-01-15", "2024-01-15T10:30:00Z"); dates
+ *   that don't exist ("2024-02-31") don't decode
+ * - { array: type }: items encoded one by one and joined with commas (field=a,b);
+ *   field[]=a&field[]=b decodes too
+ *
+ * Custom Lavash.Type modules need a client codec under the module name:
+ *
+ *   Lavash.registerUrlType("MyApp.Types.Money", {
+ *     encode: (value) => `${value.amount}${value.currency}`,    // state value -> string
+ *     decode: (text) => ({ amount: parseInt(text), currency: text.slice(-3) })
+ *   });
+ *
+ * Text that doesn't parse decodes to undefined.
+ */
+
+import { createLogger } from "./debug.js";
+
+const log = createLogger("url");
+
+// Crockford base32 as used by TypeID
+const BASE32 = "0123456789abcdefghjkmnpqrstvwxyz";
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX = /^[0-9a-f]{32}$/i;
+const SUFFIX = /^[0-7][0-9a-hjkmnp-tv-z]{25}$/i;
+
+const customTypes = {};
+const warnedTypes = new Set();
+
+// --- UUIDs ---
+
+function hexToUuid(hex) {
+  const h = hex.toLowerCase();
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+// 128 bits as 26 base32 characters (two leading zero bits)
+function uuidToSuffix(uuid) {
+  let n = BigInt(`0x${uuid.replace(/-/g, "")}`);
+  let suffix = "";
+  for (let i = 0; i < 26; i++) {
+    suffix = BASE32[Number(n & 31n)] + suffix;
+    n >>= 5n;
+  }
+  return suffix;
+}
+
+function suffixToUuid(suffix) {
+  let n = 0n;
+  for (const ch of suffix.toLowerCase()) {
+    n = (n << 5n) | BigInt(BASE32.indexOf(ch));
+  }
+  return hexToUuid(n.toString(16).padStart(32, "0"));
+}
+
+function encodeUuid(value, prefix = "") {
+  if (typeof value !== "string" || !UUID.test(value)) return String(value);
+  const suffix = uuidToSuffix(value);
+  return prefix ? `${prefix}_${suffix}` : suffix;
+}
+
+// Accepts a full UUID, 32 hex digits, a bare TypeID suffix or prefix_suffix
+// (prefix_hex too), like Lavash.Type.parse/2
+function decodeUuid(text, expectedPrefix = null) {
+  if (UUID.test(text)) return text.toLowerCase();
+  if (HEX.test(text)) return hexToUuid(text);
+
+  const split = text.lastIndexOf("_");
+  const prefix = split === -1 ? null : text.slice(0, split);
+  const rest = split === -1 ? text : text.slice(split + 1);
+  if (prefix !== null && expectedPrefix && prefix !== expectedPrefix) return undefined;
+
+  if (prefix !== null && HEX.test(rest)) return hexToUuid(rest);
+  if (SUFFIX.test(rest)) return suffixToUuid(rest);
+  return undefined;
+}
+
+// --- Scalars ---
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const isDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+// "2024-01-15" naming a real calendar day (Date.parse would roll 2024-02-31 over)
+function isIsoDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Elixir's Float.to_string/1 always has a fraction ("2.0")
+function encodeFloat(value) {
+  if (typeof value !== "number") return String(value);
+  return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+function decodeNumber(text, parse) {
+  const number = parse(text);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+/**
+ * Codecs by type name:
+ * - encode(value): state value -> URL string
+ * - decode(text): URL string -> state value (undefined when it doesn't parse)
+ */
+const CODECS = {
+  string: { encode: String, decode: (text) => text },
+  atom: { encode: String, decode: (text) => text },
+  integer: {
+    // Integer.parse/1 ignores trailing text ("12px" -> 12)
+    encode: (value) => String(typeof value === "number" ? Math.trunc(value) : value),
+    decode: (text) => (/^[-+]?\d/.test(text) ? decodeNumber(text, (t) => parseInt(t, 10)) : undefined)
+  },
+  float: {
+    encode: encodeFloat,
+    decode: (text) => (/^[-+]?\d/.test(text) ? decodeNumber(text, parseFloat) : undefined)
+  },
+  boolean: {
+    encode: String,
+    decode: (text) => BOOLEANS[text]
+  },
+  uuid: {
+    encode: (value) => encodeUuid(value),
+    decode: (text) => decodeUuid(text)
+  },
+  date: {
+    encode: (value) =>
+      isDate(value) ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` : String(value),
+    decode: (text) => (ISO_DATE.test(text) && isIsoDay(text) ? text : undefined)
+  },
+  datetime: {
+    encode: (value) => (isDate(value) ? value.toISOString() : String(value)),
+    decode: (text) => (ISO_DATETIME.test(text) && isIsoDay(text) ? text : undefined)
+  }
+};
+
+// Codec for a scalar descriptor ("integer", { uuid: "cat" }, { custom: "MyApp.Type" })
+function codecFor(type) {
+  if (typeof type === "string") return CODECS[type] || null;
+  if (type?.uuid !== undefined) {
+    return { encode: (value) => encodeUuid(value, type.uuid), decode: (text) => decodeUuid(text, type.uuid) };
+  }
+  if (type?.custom) {
+    const codec = customTypes[type.custom];
+    if (!codec && !warnedTypes.has(type.custom)) {
+      warnedTypes.add(type.custom);
+      log.warn(`No URL codec registered for ${type.custom}; using plain strings (see Lavash.registerUrlType)`);
+    }
+    return codec || null;
+  }
+  return null;
+}
+
+/**
+ * Register the client codec for a custom Lavash.Type module.
+ *
+ * @param {string} name - Module name as written in Elixir ("MyApp.Types.Money")
+ * @param {Object} codec
+ * @param {Function} codec.encode - (value) => string, must match the module's dump/1
+ * @param {Function} codec.decode - (text) => value, undefined when text doesn't parse
+ */
+export function registerUrlType(name, { encode, decode }) {
+  if (typeof encode !== "function" || typeof decode !== "function") {
+    throw new Error(`[Lavash] URL type "${name}" must define encode and decode functions`);
+  }
+  customTypes[name] = { encode, decode };
+}
+
+/**
+ * Encode a state value for the URL.
+ *
+ * @param {string|Object|null} type - Field descriptor (null: plain strings)
+ * @param {*} value - State value
+ * @returns {string|Array<string>|null} "a,b" for { array: ... } types, an array of
+ *   strings for untyped arrays (field[]=...), null for empty values
+ */
+export function encodeUrlValue(type, value) {
+  if (Array.isArray(value)) {
+    const inner = type?.array ?? null;
+    const items = value
+      .map(item => encodeUrlValue(inner, item))
+      .filter(item => item !== null);
+    // Typed arrays are written the way Lavash.Type.dump/2 writes them
+    if (type?.array === undefined) return items;
+    return items.length > 0 ? items.join(",") : null;
+  }
+  if (value === null || value === undefined || value === "") return null;
+
+  const codec = codecFor(type);
+  return codec ? codec.encode(value) : String(value);
+}
+
+/**
+ * Decode a URL value into a state value.
+ *
+ * @param {string|Object|null} type - Field descriptor (null: values stay strings)
+ * @param {string|Array<string>|undefined} raw - From the query string (arrays from field[]=...)
+ * @returns {*} Decoded value, undefined when absent or when it doesn't parse
+ */
+export function decodeUrlValue(type, raw) {
+  if (raw === undefined || raw === null) return undefined;
+
+  if (type?.array !== undefined) {
+    // "a,b" like Lavash.Type.parse/2, or field[]=a&field[]=b
+    const items = Array.isArray(raw) ? raw : raw.split(",").map(item => item.trim());
+    const decoded = items.filter(item => item !== "").map(item => decodeUrlValue(type.array, item));
+    return decoded.includes(undefined) ? undefined : decoded;
+  }
+  if (Array.isArray(raw)) return type == null ? raw : undefined;
+
+  const codec = codecFor(type);
+  return codec ? codec.decode(raw) : raw;
+}
@@ -279,6 +279,17 @@ defmodule Lavash.LiveViewTest do
       assert has_element?(view, "#active", "false")
       assert has_element?(view, "#query", "")
       assert has_element?(view, "#tags", "")
+      assert has_element?(view, "#sort", "name")
+    end
+
+    test "parses aliased field from its url_key", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/typed?s=price")
+      assert has_element?(view, "#sort", "price")
+    end
+
+    test "ignores the field name of an aliased field", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/typed?sort=price")
+      assert has_element?(view, "#sort", "name")
     end
 
     test "toggle updates boolean and URL", %{conn: conn} do
@@ -351,6 +362,39 @@ defmodule Lavash.LiveViewTest do
       # Count should still be 1
       assert has_element?(view, "#count", "1")
     end
+
+    test "rejected guarded action replies with an error for client rollback", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/guarded")
+
+      render_hook(view, "guarded_increment", %{})
+
+      assert_reply(view, %{error: "rejected"})
+      assert has_element?(view, "#count", "0")
+    end
+  end
+
+  describe "action replies" do
+    test "a failed submit runs on_error and replies with an error", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/signup")
+
+      render_hook(view, "save", %{"signup" => %{"name" => "A"}})
+
+      assert_reply(view, %{error: "failed"})
+      assert has_element?(view, "#failed", "true")
+    end
+
+    test "a rejected action still applies form bindings and bumps the version", %{conn: conn} do
+      {:ok, view, html} = live(conn, "/signup")
+      assert html =~ ~s(data-lavash-version="0")
+
+      render_hook(view, "save_when_open", %{"signup" => %{"name" => "Ada"}})
+
+      # The client rolls back on the error; patches rendered before the
+      # rejection carry an older version and can't undo the rollback
+      assert_reply(view, %{error: "rejected"})
+      assert render(view) =~ ~s(data-lavash-version="1")
+      assert has_element?(view, "#name", "Ada")
+    end
   end
 
   describe "action effects" do
@@ -368,6 +412,137 @@ defmodule Lavash.LiveViewTest do
     end
   end
 
+  describe "browser history" do
+    test "history defaults to :replace and accepts :push" do
+      fields = Map.new(Lavash.TestUrlStateLive.__lavash__(:url_fields), &{&1.name, &1.history})
+
+      assert fields == %{tab: :push, view: :replace}
+    end
+
+    test "renders push fields in data-lavash-url-history", %{conn: conn} do
+      {:ok, _view, html} = live(conn, "/url-state")
+
+      assert html =~ ~s(data-lavash-url-history="{&quot;tab&quot;:&quot;push&quot;}")
+    end
+
+    test "back/forward patches re-read URL fields on the server", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/url-state?tab=reviews")
+
+      render_patch(view, "/url-state?tab=specs&view=list")
+
+      assert has_element?(view, "#tab", "specs")
+      assert has_element?(view, "#view", "list")
+    end
+  end
+
+  describe "form validation" do
+    test "per-field validation replies with the field, its seq and errors", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/signup")
+
+      render_hook(view, "validate_signup", %{"field" => "name", "value" => "A", "seq" => 3})
+
+      assert_reply(view, %{field: "name", seq: 3, errors: [_ | _]})
+    end
+
+    test "per-field validation replies with no errors for a valid value", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/signup")
+
+      render_hook(view, "validate_signup", %{"field" => "name", "value" => "Ada", "seq" => 1})
+
+      assert_reply(view, %{field: "name", seq: 1, errors: []})
+    end
+
+    test "error containers are rendered with the id inputs reference", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/signup")
+
+      assert has_element?(view, ~s(#signup-name-errors[data-lavash-errors="signup_name_errors"][aria-live="polite"]))
+    end
+  end
+
+  describe "set_ events" do
+    test "set_<field> casts the value for an ephemeral field", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/counter?count=2")
+
+      render_hook(view, "set_multiplier", %{"value" => "3"})
+
+      assert has_element?(view, "#doubled", "6")
+    end
+
+    test "set_<field> does not change URL fields without a setter", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/typed?s=price")
+
+      render_hook(view, "set_sort", %{"value" => "date"})
+
+      assert has_element?(view, "#sort", "price")
+    end
+  end
+
+  describe "path and hash URL state" do
+    test "a required hash field doesn't have to be in params", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/catalog/shoes")
+
+      assert has_element?(view, "#category", "shoes")
+      assert has_element?(view, "#panel", "")
+    end
+
+    test "renders the route pattern and hash fields for the hook", %{conn: conn} do
+      {:ok, _view, html} = live(conn, "/catalog/shoes")
+
+      assert html =~ ~s(data-lavash-url-route="/catalog/:category")
+      assert html =~ ~s(data-lavash-url-hash="[&quot;panel&quot;]")
+    end
+
+    test "hash fields keep their value across patches", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/catalog/shoes")
+
+      render_hook(view, "set_panel", %{"value" => "filters"})
+      render_patch(view, "/catalog/shoes?q=red")
+
+      assert has_element?(view, "#q", "red")
+      assert has_element?(view, "#panel", "filters")
+    end
+  end
+
+  describe "tab sync" do
+    test "sync: :tabs fields are optimistic and get a setter action" do
+      optimistic = Enum.map(Lavash.TestTabSyncLive.__lavash__(:optimistic_fields), & &1.name)
+      actions = Enum.map(Lavash.TestTabSyncLive.__lavash__(:actions), & &1.name)
+
+      assert :view_mode in optimistic
+      assert :set_view_mode in actions
+    end
+
+    test "the channel key includes route params that aren't URL state" do
+      key =
+        Lavash.LiveView.Runtime.tab_sync_key(
+          Lavash.TestTabSyncLive,
+          "Lavash.TestTabSyncLive",
+          %{shop_id: "7", category: "shoes"}
+        )
+
+      assert key == "Lavash.TestTabSyncLive?shop_id=7"
+
+      assert Lavash.LiveView.Runtime.tab_sync_key(Lavash.TestTabSyncLive, "Lavash.TestTabSyncLive", %{}) ==
+               "Lavash.TestTabSyncLive"
+    end
+
+    test "renders the synced fields and channel key", %{conn: conn} do
+      {:ok, _view, html} = live(conn, "/shops/7/shoes/tab-sync")
+
+      assert html =~ ~s(data-lavash-sync-tabs="[&quot;view_mode&quot;]")
+      assert html =~ ~s(data-lavash-sync-key="Lavash.TestTabSyncLive?shop_id=7")
+    end
+
+    test "values posted by other tabs apply through the setter action", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/shops/7/shoes/tab-sync")
+
+      render_hook(view, "set_view_mode", %{"value" => "list"})
+
+      assert has_element?(view, "#view-mode", "list")
+      assert has_element?(view, "#category", "shoes")
+    end
+  end
+
   describe "unknown events" do
     test "unknown event is handled gracefully", %{conn: conn} do
       {:ok, view, _html} = live(conn, "/counter")
@@ -579,4 +579,34 @@ defmodule Lavash.Rx.TranspilerTest do
       assert Transpiler.validate(~s|String.split(@text, ",")|) == :ok
     end
   end
+
+  describe "ConstraintTranspiler.error_code/2" do
+    alias Lavash.Form.ConstraintTranspiler
+
+    test "returns the code and interpolation params of each constraint" do
+      assert ConstraintTranspiler.error_code(:required, nil) == {"required", %{}}
+      assert ConstraintTranspiler.error_code(:min_length, 3) == {"min_length", %{count: 3}}
+      assert ConstraintTranspiler.error_code(:max_length, 20) == {"max_length", %{count: 20}}
+      assert ConstraintTranspiler.error_code(:min, 18) == {"min", %{min: 18}}
+      assert ConstraintTranspiler.error_code(:max, 99) == {"max", %{max: 99}}
+      assert ConstraintTranspiler.error_code(:match, ~r/^a/) == {"match", %{}}
+    end
+  end
+
+  describe "ConstraintTranspiler.js_error/3" do
+    alias Lavash.Form.ConstraintTranspiler
+
+    test "emits code and params without a custom message" do
+      assert ConstraintTranspiler.js_error(:min_length, 3) == ~s|code: "min_length", params: {"count":3}|
+      assert ConstraintTranspiler.js_error(:required, nil, nil) == ~s|code: "required", params: {}|
+    end
+
+    test "emits a custom message as is" do
+      assert ConstraintTranspiler.js_error(:min, 18, "Must be 18 or older") == ~s|msg: "Must be 18 or older"|
+    end
+
+    test "escapes custom messages for JS" do
+      assert ConstraintTranspiler.js_error(:match, nil, ~s|Use "a"-"z"|) == ~s|msg: "Use \\"a\\"-\\"z\\""|
+    end
+  end
 end
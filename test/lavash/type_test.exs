@@ -344,6 +344,48 @@ defmodule Lavash.TypeTest do
     end
   end
 
+  describe ":date and :datetime" do
+    test "parses ISO 8601 date" do
+      assert {:ok, ~D[2024-01-15]} = Type.parse(:date, "2024-01-15")
+    end
+
+    test "returns error for invalid date" do
+      assert {:error, _} = Type.parse(:date, "2024-02-31")
+    end
+
+    test "dumps date" do
+      assert "2024-01-15" = Type.dump(:date, ~D[2024-01-15])
+    end
+
+    test "datetime roundtrip" do
+      original = ~U[2024-01-15 10:30:00Z]
+      {:ok, result} = Type.parse(:datetime, Type.dump(:datetime, original))
+      assert result == original
+    end
+  end
+
+  describe "js_descriptor/1" do
+    test "describes built-in scalar types by name" do
+      assert "integer" = Type.js_descriptor(:integer)
+      assert "uuid" = Type.js_descriptor(:uuid)
+      assert "date" = Type.js_descriptor(:date)
+    end
+
+    test "describes prefixed UUIDs and arrays" do
+      assert %{uuid: "cat"} = Type.js_descriptor({:uuid, "cat"})
+      assert %{array: %{uuid: "cat"}} = Type.js_descriptor({:array, {:uuid, "cat"}})
+    end
+
+    test "describes custom type modules by name" do
+      assert %{custom: "Lavash.TypeTest.CustomDate"} = Type.js_descriptor(Lavash.TypeTest.CustomDate)
+    end
+
+    test "returns nil for types the client can't mirror" do
+      assert nil == Type.js_descriptor(:any)
+      assert nil == Type.js_descriptor({:array, :any})
+    end
+  end
+
   describe "dump/2 with unknown type" do
     test "uses to_string fallback" do
       # Unknown type should fall back to to_string
@@ -23,5 +23,9 @@ defmodule Lavash.TestRouter do
     live("/component-host", TestComponentHostLive)
     live("/guarded", TestGuardedActionsLive)
     live("/modal-host", TestModalHostLive)
+    live("/signup", TestSignupFormLive)
+    live("/url-state", TestUrlStateLive)
+    live("/shops/:shop_id/:category/tab-sync", TestTabSyncLive)
+    live("/catalog/:category", TestHashStateLive)
   end
 end
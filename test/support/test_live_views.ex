@@ -239,6 +239,7 @@ defmodule Lavash.TestTypedLive do
   state :active, :boolean, from: :url, default: false
   state :query, :string, from: :url, default: ""
   state :tags, {:array, :string}, from: :url, default: []
+  state :sort, :string, from: :url, default: "name", url_key: "s"
 
   actions do
     action :set_page, [:value] do
@@ -261,6 +262,7 @@ defmodule Lavash.TestTypedLive do
       <span id="active">{@active}</span>
       <span id="query">{@query}</span>
       <span id="tags">{Enum.join(@tags, ",")}</span>
+      <span id="sort">{@sort}</span>
       <button id="next-page" phx-click="set_page" phx-value-value={@page + 1}>Next</button>
       <button id="toggle" phx-click="toggle_active">Toggle</button>
     </div>
@@ -315,3 +317,103 @@ defmodule Lavash.TestGuardedActionsLive do
     """
   end
 end
+
+defmodule Lavash.TestSignupFormLive do
+  @moduledoc """
+  Test fixture: Ash form with per-field server validation.
+  """
+  use Lavash.LiveView
+
+  state :signup_params, :map, from: :ephemeral, default: %{}, optimistic: true
+  state :open, :boolean, from: :ephemeral, default: false
+  state :failed, :boolean, from: :ephemeral, default: false
+
+  form :signup, Lavash.TestSignup do
+    create :create
+  end
+
+  actions do
+    action :save do
+      submit :signup, on_error: :on_failed
+    end
+
+    action :on_failed do
+      set :failed, true
+    end
+
+    action :save_when_open, [], [:open] do
+      submit :signup
+    end
+  end
+
+  def render(assigns) do
+    ~H"""
+    <div>
+      <span id="name">{@signup_params["name"]}</span>
+      <span id="failed">{@failed}</span>
+      <.field_errors form={:signup} field={:name} errors={[]} />
+    </div>
+    """
+  end
+end
+
+defmodule Lavash.TestUrlStateLive do
+  @moduledoc """
+  Test fixture: Optimistic URL state, rendered inside the hook wrapper.
+  """
+  use Lavash.LiveView
+
+  state :tab, :string, from: :url, default: "details", history: :push, optimistic: true
+  state :view, :string, from: :url, default: "grid", optimistic: true
+
+  def render(assigns) do
+    ~H"""
+    <div>
+      <span id="tab">{@tab}</span>
+      <span id="view">{@view}</span>
+    </div>
+    """
+  end
+end
+
+defmodule Lavash.TestTabSyncLive do
+  @moduledoc """
+  Test fixture: Ephemeral state shared between tabs (sync: :tabs) on a route
+  with a plain path param (shop_id) and a URL state path param (category).
+  """
+  use Lavash.LiveView
+
+  state :category, :string, from: :url, default: "all"
+  state :view_mode, :string, from: :ephemeral, default: "grid", sync: :tabs
+
+  def render(assigns) do
+    ~H"""
+    <div>
+      <span id="category">{@category}</span>
+      <span id="view-mode">{@view_mode}</span>
+    </div>
+    """
+  end
+end
+
+defmodule Lavash.TestHashStateLive do
+  @moduledoc """
+  Test fixture: URL state in the path (category), the query string (q) and
+  the fragment (panel, required but never sent to the server).
+  """
+  use Lavash.LiveView
+
+  state :category, :string, from: :url, default: "all"
+  state :q, :string, from: :url, default: ""
+  state :panel, :string, from: :url, hash: true, required: true, optimistic: true
+
+  def render(assigns) do
+    ~H"""
+    <div>
+      <span id="category">{@category}</span>
+      <span id="q">{@q}</span>
+      <span id="panel">{@panel}</span>
+    </div>
+    """
+  end
+end
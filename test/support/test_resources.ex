@@ -0,0 +1,41 @@
+defmodule Lavash.TestDomain do
+  @moduledoc """
+  Test fixture: Ash domain for form fixtures.
+  """
+  use Ash.Domain, validate_config_inclusion?: false
+
+  resources do
+    resource Lavash.TestSignup
+  end
+end
+
+defmodule Lavash.TestSignup do
+  @moduledoc """
+  Test fixture: In-memory resource validated by Lavash forms.
+  """
+  use Ash.Resource,
+    domain: Lavash.TestDomain,
+    data_layer: Ash.DataLayer.Ets
+
+  ets do
+    private? true
+  end
+
+  attributes do
+    uuid_primary_key :id
+
+    attribute :name, :string do
+      allow_nil? false
+      public? true
+      constraints min_length: 2
+    end
+  end
+
+  actions do
+    defaults [:read]
+
+    create :create do
+      accept [:name]
+    end
+  end
+end